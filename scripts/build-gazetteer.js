@@ -0,0 +1,152 @@
+import zipcodes from 'zipcodes';
+import allTheCities from 'all-the-cities';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '../data');
+const STORES_FILE = join(DATA_DIR, 'stores.json');
+const GAZETTEER_FILE = join(DATA_DIR, 'gazetteer.json');
+const ZIP_DIR = join(DATA_DIR, 'zips');
+
+// Cities at or above this population are bundled; smaller towns only if a store is there
+const MIN_CITY_POPULATION = 10000;
+
+// 50 states + DC (zipcodes also lists territories and military codes, which we skip)
+const STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY'
+]);
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Title-case an all-caps state name: "NEW HAMPSHIRE" → "New Hampshire"
+ */
+function titleCase(s) {
+  return s.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase()).replace(/\bOf\b/g, 'of');
+}
+
+function buildStates() {
+  const states = {};
+  for (const [name, code] of Object.entries(zipcodes.states.full)) {
+    if (STATE_CODES.has(code)) {
+      states[code] = titleCase(name);
+    }
+  }
+  return states;
+}
+
+/**
+ * Major cities plus every town that has a store, most populous first so the
+ * locator can pick the biggest match for an ambiguous name like "Springfield".
+ * Each entry is [name, state, lat, lng].
+ */
+function buildCities(stores) {
+  const usCities = allTheCities.filter(c => c.country === 'US' && STATE_CODES.has(c.adminCode));
+  const key = (name, state) => `${name.toLowerCase()}|${state}`;
+
+  const byKey = new Map();
+  for (const city of usCities) {
+    const k = key(city.name, city.adminCode);
+    // Keep the most populous place when a name repeats within a state
+    if (!byKey.has(k) || byKey.get(k).population < city.population) {
+      byKey.set(k, city);
+    }
+  }
+
+  const selected = new Map();
+  for (const [k, city] of byKey) {
+    if (city.population >= MIN_CITY_POPULATION) {
+      selected.set(k, { name: city.name, state: city.adminCode, lat: city.loc.coordinates[1], lng: city.loc.coordinates[0], population: city.population });
+    }
+  }
+
+  // Towns with stores: use the GeoNames point if we have one, else average their zip centroids
+  let fromZips = 0;
+  for (const store of stores) {
+    if (!store.city || !STATE_CODES.has(store.state)) continue;
+    const k = key(store.city, store.state);
+    if (selected.has(k)) continue;
+
+    const city = byKey.get(k);
+    if (city) {
+      selected.set(k, { name: city.name, state: city.adminCode, lat: city.loc.coordinates[1], lng: city.loc.coordinates[0], population: city.population });
+      continue;
+    }
+
+    const zips = zipcodes.lookupByName(store.city, store.state);
+    if (zips.length > 0) {
+      const lat = zips.reduce((sum, z) => sum + z.latitude, 0) / zips.length;
+      const lng = zips.reduce((sum, z) => sum + z.longitude, 0) / zips.length;
+      selected.set(k, { name: store.city, state: store.state, lat, lng, population: 0 });
+      fromZips++;
+    }
+  }
+
+  console.log(`Cities: ${selected.size} (${fromZips} placed from zip centroids)`);
+
+  return Array.from(selected.values())
+    .sort((a, b) => b.population - a.population)
+    .map(c => [c.name, c.state, round(c.lat), round(c.lng)]);
+}
+
+/**
+ * Zip centroids, split by the zip's first digit so a search only downloads one
+ * shard: data/zips/4.json = { places: ["Louisville, KY", ...], zips: { "40202": [lat, lng, placeIndex] } }
+ * Place names are stored once per shard and referenced by index to keep the files small.
+ */
+function buildZipShards() {
+  const shards = {};
+
+  const codes = Object.values(zipcodes.codes)
+    .filter(z => z.country === 'US' && STATE_CODES.has(z.state) && /^\d{5}$/.test(z.zip))
+    .sort((a, b) => a.zip.localeCompare(b.zip));
+
+  for (const z of codes) {
+    const prefix = z.zip[0];
+    if (!shards[prefix]) {
+      shards[prefix] = { places: [], placeIndex: new Map(), zips: {} };
+    }
+    const shard = shards[prefix];
+
+    const place = `${z.city}, ${z.state}`;
+    if (!shard.placeIndex.has(place)) {
+      shard.placeIndex.set(place, shard.places.length);
+      shard.places.push(place);
+    }
+    shard.zips[z.zip] = [round(z.latitude), round(z.longitude), shard.placeIndex.get(place)];
+  }
+
+  console.log(`Zip codes: ${codes.length}`);
+  return shards;
+}
+
+function buildGazetteer() {
+  try {
+    const stores = JSON.parse(readFileSync(STORES_FILE, 'utf-8'));
+
+    const gazetteer = {
+      states: buildStates(),
+      cities: buildCities(stores)
+    };
+    writeFileSync(GAZETTEER_FILE, JSON.stringify(gazetteer));
+    console.log(`Wrote ${GAZETTEER_FILE}`);
+
+    mkdirSync(ZIP_DIR, { recursive: true });
+    for (const [prefix, shard] of Object.entries(buildZipShards())) {
+      writeFileSync(join(ZIP_DIR, `${prefix}.json`), JSON.stringify({ places: shard.places, zips: shard.zips }));
+    }
+    console.log(`Wrote ${ZIP_DIR}/0-9.json`);
+  } catch (error) {
+    console.error('Error building gazetteer:', error);
+    process.exit(1);
+  }
+}
+
+buildGazetteer();
@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CHAINS_FILE = join(__dirname, '../data/chains.json');
+
+/**
+ * The retail chains, data/chains.json. Each chain is
+ *   { name, patterns, website, logo }
+ * where name is the chain's canonical name and patterns are case-insensitive
+ * regular expressions matched against sheet store names ("^liquor barn\\b").
+ * website and logo (a path relative to data/) are only read by the website.
+ * Throws if the file is malformed or a pattern doesn't compile.
+ */
+function loadChains() {
+  const chains = JSON.parse(readFileSync(CHAINS_FILE, 'utf-8'));
+  if (!Array.isArray(chains)) {
+    throw new Error(`${CHAINS_FILE} must be an array of chains`);
+  }
+
+  const seen = new Set();
+  chains.forEach((chain, i) => {
+    const { name, patterns } = chain;
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`Chain ${i + 1} in ${CHAINS_FILE} has no name`);
+    }
+    if (!Array.isArray(patterns) || patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string')) {
+      throw new Error(`Chain ${name} in ${CHAINS_FILE}: patterns must be a non-empty list of regular expressions`);
+    }
+    for (const field of ['website', 'logo']) {
+      if (chain[field] !== undefined && typeof chain[field] !== 'string') {
+        throw new Error(`Chain ${name} in ${CHAINS_FILE}: ${field} must be text`);
+      }
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Chain ${name} is listed twice in ${CHAINS_FILE}`);
+    }
+    seen.add(name.toLowerCase());
+
+    chain.matchers = patterns.map(pattern => {
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Chain ${name} in ${CHAINS_FILE}: bad pattern ${JSON.stringify(pattern)} (${error.message})`);
+      }
+    });
+  });
+
+  return chains;
+}
+
+export const CHAINS = loadChains();
+
+/**
+ * Chain for a store name, or null for an independent store. The first chain
+ * in file order with a matching pattern wins.
+ */
+export function matchChain(storeName) {
+  const name = String(storeName || '').replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+  return CHAINS.find(chain => chain.matchers.some(matcher => matcher.test(name))) || null;
+}
+
+/**
+ * Chain by its canonical name, ignoring case, or null if it isn't in the file
+ */
+export function findChain(chainName) {
+  const name = String(chainName || '').trim().toLowerCase();
+  return CHAINS.find(chain => chain.name.toLowerCase() === name) || null;
+}
@@ -1,29 +1,381 @@
 import { parse } from 'csv-parse/sync';
-import { writeFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { PRODUCTS, ACTIVE_PRODUCTS } from './products.js';
+import { matchChain, findChain } from './chains.js';
+import { normalizeStoreName, writeRenameReport } from './store-names.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const SHEET_CSV_URL = process.env.SHEET_CSV_URL;
 
-if (!SHEET_CSV_URL) {
-  console.error('Error: SHEET_CSV_URL environment variable is required');
-  process.exit(1);
+// NORMALIZE_NAMES=1 cleans up store names the way the pivot does (see scripts/store-names.js)
+const NORMALIZE_NAMES = process.env.NORMALIZE_NAMES === '1';
+
+// Refuse to replace stores.json when the store count falls by more than this percentage
+const MAX_STORE_DROP_PERCENT = Number(process.env.MAX_STORE_DROP_PERCENT ?? 10);
+
+const OUTPUT_FILE = join(__dirname, '../data/stores.json');
+const REPORT_FILE = join(__dirname, '../data/sync-report.json');
+
+// Columns the sync can't place a store without
+const REQUIRED_COLUMNS = ['store_name', 'address', 'city', 'state', 'zip', 'lat', 'lng'];
+
+const STORE_TYPES = ['On-Premise', 'Off-Premise'];
+
+// State codes a store can have: the 50 states and DC
+const VALID_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+]);
+
+// The 50 states and DC, Hawaii to Maine and Florida to Alaska. A store outside
+// this box has its lat/lng swapped or mistyped.
+const US_BOUNDS = { south: 18, north: 72, west: -180, east: -66 };
+
+// Sheet columns that aren't products
+const STORE_COLUMNS = new Set([
+  'store_id', 'store_name', 'location_number', 'address', 'city', 'state', 'zip', 'phone', 'website',
+  'type', 'lat', 'lng', 'normalized', 'hours', 'timezone', 'chain'
+]);
+
+const isChecked = (value) => String(value || '').toUpperCase() === 'TRUE';
+
+// Each product's last delivery date is in "<abbrev>_last", next to its checkbox column
+const LAST_DELIVERED_SUFFIX = '_last';
+
+/**
+ * A last-delivered cell as "YYYY-MM-DD", or null. The pivot writes ISO dates,
+ * but Sheets may publish them as "3/14/2026".
+ */
+function parseDeliveryDate(value) {
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  return null;
+}
+
+/**
+ * Columns that look like products but aren't in data/products.json: an
+ * upper-case abbreviation header ("CC"), a column of TRUE/FALSE checkboxes, or
+ * a last-delivered date column ("CC_last") for an unknown product.
+ * A product added to the sheet without a catalog entry would otherwise be
+ * silently dropped from the website.
+ */
+function findUnknownProductColumns(columns, records) {
+  const known = new Set(PRODUCTS.map(product => product.abbrev));
+  return columns.filter(column => {
+    if (!column || known.has(column) || STORE_COLUMNS.has(column)) return false;
+    if (column.endsWith(LAST_DELIVERED_SUFFIX)) {
+      return !known.has(column.slice(0, -LAST_DELIVERED_SUFFIX.length));
+    }
+    if (/^[A-Z][A-Z0-9]{0,5}$/.test(column)) return true;
+
+    const values = records.map(row => String(row[column] || '').toUpperCase()).filter(Boolean);
+    return values.length > 0 && values.every(value => value === 'TRUE' || value === 'FALSE');
+  });
 }
 
-// Product abbreviation → full name
-const PRODUCT_MAP = {
-  MM:   'Moonlight Mayhem!',
-  MMEC: 'Moonlight Mayhem! Extended Cut',
-  RR:   'Ryes of the Robots',
-  RREC: 'Ryes of the Robot Extended Cut',
-  QUAD: 'Quadraforce Blended Bourbon',
-  MMWP: 'Moonlight Mayhem! 2 the White Port Wolf',
+// Time zone for store hours by state. A "timezone" column overrides it, e.g. for
+// stores on the Central side of Kentucky, Indiana or the Florida panhandle, or on
+// the Eastern side of Tennessee.
+const STATE_TIME_ZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver'
 };
 
-const PRODUCT_ABBREVS = Object.keys(PRODUCT_MAP);
+// Week days in the order hours are written ("Mon-Fri", "Sat-Sun")
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_KEYS = WEEK_DAYS.map(day => day.slice(0, 3));
+
+const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b|\bthru\b|\bthrough\b)\s*/i;
+const LIST_SEPARATOR = /\s*(?:,|&|\band\b)\s*/i;
+
+/**
+ * "Mon", "Tues", "Thursday" → index into WEEK_DAYS
+ */
+function parseDay(text) {
+  const word = text.toLowerCase().replace(/\./g, '');
+  const index = WEEK_DAYS.findIndex(day => word.length >= 2 && day.startsWith(word));
+  if (index === -1) throw new Error(`unknown day "${text}"`);
+  return index;
+}
+
+/**
+ * "Mon-Fri", "Sat, Sun", "Weekdays", "Daily" → day indexes. Ranges may wrap ("Fri-Mon").
+ */
+function parseDays(text) {
+  const normalized = text.toLowerCase().trim();
+  if (!normalized || /^(daily|every ?day|all week)$/.test(normalized)) return [0, 1, 2, 3, 4, 5, 6];
+  if (normalized === 'weekdays') return [0, 1, 2, 3, 4];
+  if (normalized === 'weekends') return [5, 6];
+
+  const days = [];
+  for (const part of normalized.split(LIST_SEPARATOR).filter(Boolean)) {
+    const [from, to] = part.split(RANGE_SEPARATOR);
+    const start = parseDay(from);
+    const end = to === undefined ? start : parseDay(to);
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) break;
+    }
+  }
+  return days;
+}
+
+/**
+ * "10am", "10:30 PM", "21:00", "noon", "midnight" → minutes since midnight.
+ * Returns { minutes, meridiem } so a range like "5-10pm" can share one meridiem.
+ */
+function parseTime(text) {
+  const normalized = text.toLowerCase().replace(/\./g, '').trim();
+  if (normalized === 'noon') return { minutes: 12 * 60, meridiem: 'pm' };
+  if (normalized === 'midnight') return { minutes: 24 * 60, meridiem: 'am' };
+
+  const match = normalized.match(/^(\d{1,2})(?::(\d{2}))?\s*(am?|pm?)?$/);
+  if (!match) throw new Error(`unknown time "${text}"`);
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3] ? (match[3][0] === 'a' ? 'am' : 'pm') : null;
+  if (hour > 24 || minute > 59 || (meridiem && (hour === 0 || hour > 12))) {
+    throw new Error(`unknown time "${text}"`);
+  }
+
+  const hour24 = meridiem ? (hour % 12) + (meridiem === 'pm' ? 12 : 0) : hour;
+  return { minutes: hour24 * 60 + minute, meridiem };
+}
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * "10am-9pm" → ["10:00", "21:00"]. A close time at or before the open time
+ * means the store closes after midnight ("5pm-2am" → ["17:00", "02:00"]).
+ */
+function parseTimeRange(text) {
+  const [openText, closeText, extra] = text.split(RANGE_SEPARATOR);
+  if (!closeText || extra !== undefined) throw new Error(`unknown time range "${text}"`);
+
+  let open = parseTime(openText);
+  let close = parseTime(closeText);
+
+  // "5-10pm", "5-2am", "noon-8": a time without am/pm takes the other one's,
+  // unless that puts the close before the open ("11-2pm" is 11am, "5-2am" is 5pm)
+  const opposite = { am: 'pm', pm: 'am' };
+  if (!open.meridiem && close.meridiem && open.minutes <= 12 * 60) {
+    const shared = parseTime(`${openText}${close.meridiem}`);
+    open = shared.minutes < close.minutes ? shared : parseTime(`${openText}${opposite[close.meridiem]}`);
+  } else if (open.meridiem && !close.meridiem && close.minutes <= 12 * 60) {
+    const shared = parseTime(`${closeText}${open.meridiem}`);
+    close = shared.minutes > open.minutes ? shared : parseTime(`${closeText}${opposite[open.meridiem]}`);
+  }
+
+  // Midnight opens the day; as a close time it ends it
+  const openMinutes = open.minutes === 24 * 60 ? 0 : open.minutes;
+  return [formatMinutes(openMinutes), formatMinutes(close.minutes)];
+}
+
+/**
+ * Parse the sheet's hours column into a weekly schedule:
+ *   "Mon-Fri 10am-9pm; Sat 10am-10pm; Sun closed"
+ *   "Daily 11am-2pm, 5pm-10pm"
+ *   "Monday: 10:00 AM – 9:00 PM" (one line per day, as Google lists them)
+ * → { mon: [["10:00", "21:00"]], ..., sun: [] }. Days that aren't mentioned are closed.
+ * Throws on text it can't read.
+ */
+export function parseHours(text) {
+  const weekly = Object.fromEntries(DAY_KEYS.map(day => [day, []]));
+
+  // Google puts narrow no-break spaces before AM/PM
+  const segments = text.replace(/[\u202f\u2009\u00a0]/g, ' ').split(/\s*[;\n|]\s*/).filter(Boolean);
+  for (const segment of segments) {
+    // Days come first; the times start at the first digit or keyword
+    const timesStart = segment.search(/\d|\bclosed\b|\bopen\b|\bnoon\b|\bmidnight\b/i);
+    if (timesStart === -1) throw new Error(`no times in "${segment}"`);
+
+    const days = parseDays(segment.slice(0, timesStart).replace(/:\s*$/, ''));
+    const timesText = segment.slice(timesStart).trim().toLowerCase();
+
+    let ranges;
+    if (timesText === 'closed') {
+      ranges = [];
+    } else if (/^(open )?24 hours$/.test(timesText)) {
+      ranges = [['00:00', '24:00']];
+    } else {
+      ranges = timesText.split(LIST_SEPARATOR).filter(Boolean).map(parseTimeRange);
+    }
+
+    days.forEach(day => { weekly[DAY_KEYS[day]] = ranges; });
+  }
+
+  return weekly;
+}
+
+/**
+ * Hours for a store row: { timezone, weekly }, or null when the row has none or
+ * they can't be read (with a warning, so one typo doesn't fail the sync)
+ */
+export function parseStoreHours(row) {
+  const text = (row.hours || '').trim();
+  if (!text) return null;
+
+  try {
+    const timezone = (row.timezone || '').trim() || STATE_TIME_ZONES[(row.state || '').toUpperCase()] || 'America/New_York';
+    return { timezone, weekly: parseHours(text) };
+  } catch (error) {
+    console.warn(`Warning: ignoring hours for ${row.store_name} (${row.city}, ${row.state}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * A website cell as an http(s) URL, or null if it isn't one. A bare domain
+ * ("liquorbarn.com") gets https:// in front.
+ */
+function parseWebsite(value) {
+  const text = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+  try {
+    const url = new URL(text);
+    if (!/^https?:$/.test(url.protocol) || !/\.[a-z]{2,}$/i.test(url.hostname)) return null;
+    return text;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check one sheet row: { errors, warnings, pendingGeocode, values }. Errors keep
+ * the row off the site. Warnings are reported and blank the bad phone, website or
+ * type (a bad zip is only reported). Rows without lat/lng are waiting for the
+ * Apps Script to geocode them. values are the cleaned state, zip, phone, website and type.
+ */
+export function validateRow(row) {
+  const errors = [];
+  const warnings = [];
+
+  for (const column of ['store_name', 'address', 'city']) {
+    if (!row[column]) errors.push(`missing ${column}`);
+  }
+
+  const state = String(row.state || '').toUpperCase();
+  if (!VALID_STATES.has(state)) {
+    errors.push(`invalid state "${row.state || ''}"`);
+  }
+
+  // Sheets drops the leading zero of New England and New Jersey zips ("7030")
+  let zip = row.zip || '';
+  if (/^\d{4}(-\d{4})?$/.test(zip)) zip = `0${zip}`;
+  if (!/^\d{5}(-\d{4})?$/.test(zip)) {
+    warnings.push(`invalid zip "${row.zip || ''}"`);
+  }
+
+  let phone = row.phone || '';
+  if (phone && phone.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '').length !== 10) {
+    warnings.push(`invalid phone "${phone}"`);
+    phone = '';
+  }
+
+  let website = row.website || '';
+  if (website) {
+    const url = parseWebsite(website);
+    if (!url) warnings.push(`invalid website "${website}"`);
+    website = url || '';
+  }
+
+  let type = '';
+  if (row.type) {
+    type = STORE_TYPES.find(storeType => storeType.toLowerCase() === row.type.toLowerCase()) || '';
+    if (!type) warnings.push(`unknown type "${row.type}" (expected ${STORE_TYPES.join(' or ')})`);
+  }
+
+  const pendingGeocode = !row.lat || !row.lng;
+  if (!pendingGeocode) {
+    const lat = Number(row.lat);
+    const lng = Number(row.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      errors.push(`unreadable coordinates "${row.lat}, ${row.lng}"`);
+    } else if (lat < US_BOUNDS.south || lat > US_BOUNDS.north || lng < US_BOUNDS.west || lng > US_BOUNDS.east) {
+      errors.push(`coordinates ${lat}, ${lng} are outside the US`);
+    }
+  }
+
+  return { errors, warnings, pendingGeocode, values: { state, zip, phone, website, type } };
+}
+
+/**
+ * Stores in the current stores.json, or null if there isn't a readable one
+ */
+function readPreviousStoreCount() {
+  if (!existsSync(OUTPUT_FILE)) return null;
+  try {
+    const stores = JSON.parse(readFileSync(OUTPUT_FILE, 'utf-8'));
+    return Array.isArray(stores) ? stores.length : null;
+  } catch (error) {
+    console.warn(`Warning: can't read the current ${OUTPUT_FILE}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write data/sync-report.json: what the sync rejected, what is waiting for
+ * geocoding, field warnings, and whether stores.json was written
+ */
+function writeReport(report) {
+  writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+  console.log(`Wrote sync report to ${REPORT_FILE}`);
+}
+
+/**
+ * A store's chain name, or '' for an independent store. A "chain" column in the
+ * sheet wins over the name patterns in data/chains.json ("none" marks a store as
+ * independent even if its name matches). A value that isn't in the file is kept
+ * as typed (it just has no logo or website) and reported once.
+ */
+const unknownChains = new Set();
+
+function resolveChain(row, name) {
+  const typed = String(row.chain || '').trim();
+  if (typed.toLowerCase() === 'none') return '';
+  if (typed) {
+    const chain = findChain(typed);
+    if (chain) return chain.name;
+    if (!unknownChains.has(typed)) {
+      unknownChains.add(typed);
+      console.warn(`Warning: chain "${typed}" isn't in data/chains.json; add it there for a logo and website`);
+    }
+    return typed;
+  }
+  return matchChain(name)?.name || '';
+}
+
+/**
+ * Stand-in ID for a row the Apps Script hasn't given a store_id yet, so the
+ * site still works until the next "Update Website" assigns a real one
+ */
+function fallbackStoreId(store) {
+  const key = [store.name, store.address, store.city, store.state].join('|').toLowerCase();
+  return 'X' + createHash('sha1').update(key).digest('hex').slice(0, 8);
+}
 
 async function fetchStores() {
   try {
@@ -45,21 +397,107 @@ async function fetchStores() {
 
     console.log(`Parsed ${records.length} rows from CSV`);
 
-    // Transform and filter records
-    const stores = records
-      .filter(row => {
-        const lat = parseFloat(row.lat);
-        const lng = parseFloat(row.lng);
-        return !isNaN(lat) && !isNaN(lng);
-      })
+    const report = {
+      generated_at: new Date().toISOString(),
+      csv_rows: records.length,
+      missing_columns: [],
+      unknown_product_columns: [],
+      previous_stores: readPreviousStoreCount(),
+      stores: 0,
+      max_drop_percent: MAX_STORE_DROP_PERCENT,
+      written: false,
+      rejected: [],
+      pending_geocode: [],
+      warnings: []
+    };
+
+    // A sheet export without these columns (or with no rows) would blank the site
+    const columns = records.length > 0 ? Object.keys(records[0]) : [];
+    report.missing_columns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (report.missing_columns.length > 0) {
+      writeReport(report);
+      console.error(`Error: the sheet is missing required columns: ${report.missing_columns.join(', ')}. Not updating stores.json.`);
+      process.exit(1);
+    }
+
+    // Every product column must be in the catalog, or its stores lose that product on the site
+    report.unknown_product_columns = findUnknownProductColumns(columns, records);
+    if (report.unknown_product_columns.length > 0) {
+      writeReport(report);
+      console.error(`Error: the sheet has product columns that aren't in data/products.json: ${report.unknown_product_columns.join(', ')}`);
+      console.error('Add them to data/products.json (or set "active": false for discontinued products) and run again.');
+      process.exit(1);
+    }
+
+    const missingColumns = ACTIVE_PRODUCTS.filter(product => !columns.includes(product.abbrev));
+    if (missingColumns.length > 0) {
+      console.warn(`Warning: no sheet column for ${missingColumns.map(product => product.abbrev).join(', ')}; no store will list ${missingColumns.length === 1 ? 'it' : 'them'}`);
+    }
+
+    // Validate rows; rejected and not-yet-geocoded rows are left out
+    const validRows = [];
+    records.forEach((row, i) => {
+      const { errors, warnings, pendingGeocode, values } = validateRow(row);
+      // Sheet row number: the header is row 1
+      const entry = { row: i + 2, store_id: row.store_id || '', store_name: row.store_name || '', city: row.city || '', state: row.state || '' };
+
+      if (errors.length > 0) {
+        report.rejected.push({ ...entry, errors });
+        return;
+      }
+      if (warnings.length > 0) {
+        report.warnings.push({ ...entry, warnings });
+      }
+      if (pendingGeocode) {
+        report.pending_geocode.push(entry);
+        return;
+      }
+      validRows.push({ ...row, ...values });
+    });
+
+    console.log(`Validated ${records.length} rows: ${validRows.length} stores, ${report.rejected.length} rejected, ${report.pending_geocode.length} waiting for geocoding, ${report.warnings.length} with warnings`);
+    report.rejected.slice(0, 10).forEach(({ row, store_name, errors }) => {
+      console.warn(`Warning: rejected row ${row} (${store_name || 'no name'}): ${errors.join('; ')}`);
+    });
+    if (report.rejected.length > 10) {
+      console.warn(`...and ${report.rejected.length - 10} more; see ${REPORT_FILE}`);
+    }
+
+    // Transform records
+    const renames = [];
+    const stores = validRows
       .map(row => {
-        // Collect full product names where abbreviated column is TRUE
-        const products = PRODUCT_ABBREVS
-          .filter(abbrev => row[abbrev] && row[abbrev].toUpperCase() === 'TRUE')
-          .map(abbrev => PRODUCT_MAP[abbrev]);
+        // Collect full product names where abbreviated column is TRUE (discontinued products are left off)
+        const products = ACTIVE_PRODUCTS
+          .filter(product => isChecked(row[product.abbrev]))
+          .map(product => product.name);
+
+        // product name → last delivery date, for the products the store carries
+        const lastDelivered = {};
+        ACTIVE_PRODUCTS.forEach(product => {
+          const date = parseDeliveryDate(row[product.abbrev + LAST_DELIVERED_SUFFIX]);
+          if (date && isChecked(row[product.abbrev])) {
+            lastDelivered[product.name] = date;
+          }
+        });
+
+        // A location_number typed in the sheet wins over one split off the name
+        let name = row.store_name || '';
+        let locationNumber = row.location_number || '';
+        if (NORMALIZE_NAMES) {
+          const normalized = normalizeStoreName(name);
+          if (normalized.name !== name || (normalized.location_number && !locationNumber)) {
+            renames.push({ raw_name: name, ...normalized, city: row.city, state: row.state });
+          }
+          name = normalized.name;
+          locationNumber = locationNumber || normalized.location_number;
+        }
 
         return {
-          name: row.store_name || '',
+          store_id: row.store_id || '',
+          name,
+          location_number: locationNumber,
+          chain: resolveChain(row, name),
           address: row.address || '',
           city: row.city || '',
           state: row.state || '',
@@ -69,21 +507,71 @@ async function fetchStores() {
           type: row.type || '',
           lat: parseFloat(row.lat),
           lng: parseFloat(row.lng),
-          products: products
+          products: products,
+          last_delivered: lastDelivered,
+          hours: parseStoreHours(row)
         };
       });
 
-    console.log(`Filtered to ${stores.length} stores with valid coordinates`);
+    if (NORMALIZE_NAMES) {
+      writeRenameReport(renames);
+    }
+    console.log(`${stores.filter(store => store.hours).length} stores have opening hours`);
+    console.log(`${stores.filter(store => store.chain).length} stores belong to ${new Set(stores.map(store => store.chain).filter(Boolean)).size} chains`);
+
+    // Every store needs a unique store_id; the frontend uses it for selection and links
+    const seenIds = new Set();
+    let missingIds = 0;
+    let duplicateIds = 0;
+    stores.forEach(store => {
+      if (!store.store_id) {
+        missingIds++;
+        store.store_id = fallbackStoreId(store);
+      } else if (seenIds.has(store.store_id)) {
+        duplicateIds++;
+        console.warn(`Warning: duplicate store_id ${store.store_id} (${store.name}, ${store.city}, ${store.state})`);
+        store.store_id = `${store.store_id}-${fallbackStoreId(store)}`;
+      }
+      seenIds.add(store.store_id);
+    });
+    if (missingIds > 0 || duplicateIds > 0) {
+      console.warn(`Warning: ${missingIds} stores without a store_id and ${duplicateIds} duplicates. Run "Update Website" in the sheet to assign IDs.`);
+    }
+
+    // A half-broken sheet export shouldn't blank the live site
+    report.stores = stores.length;
+    const { previous_stores: previousCount } = report;
+    const dropPercent = previousCount ? (previousCount - stores.length) / previousCount * 100 : 0;
+    if (dropPercent > MAX_STORE_DROP_PERCENT) {
+      writeReport(report);
+      console.error(`Error: the sheet has ${stores.length} stores, ${dropPercent.toFixed(1)}% fewer than the ${previousCount} in stores.json (limit ${MAX_STORE_DROP_PERCENT}%). Not updating stores.json.`);
+      console.error(`Check the sheet and ${REPORT_FILE}. If the drop is intended, run again with a higher MAX_STORE_DROP_PERCENT.`);
+      process.exit(1);
+    }
 
     // Write to data/stores.json
-    const outputPath = join(__dirname, '../data/stores.json');
-    writeFileSync(outputPath, JSON.stringify(stores, null, 2));
+    writeFileSync(OUTPUT_FILE, JSON.stringify(stores, null, 2));
+    report.written = true;
+    writeReport(report);
 
-    console.log(`Successfully wrote ${stores.length} stores to ${outputPath}`);
+    console.log(`Successfully wrote ${stores.length} stores to ${OUTPUT_FILE}`);
   } catch (error) {
     console.error('Error fetching stores:', error);
     process.exit(1);
   }
 }
 
-fetchStores();
+// Sync when run as a script (npm run fetch); the tests import the parsers and validateRow
+if (process.argv[1] === __filename) {
+  if (!SHEET_CSV_URL) {
+    console.error('Error: SHEET_CSV_URL environment variable is required');
+    process.exit(1);
+  }
+
+  if (!Number.isFinite(MAX_STORE_DROP_PERCENT) || MAX_STORE_DROP_PERCENT < 0) {
+    console.error(`Error: MAX_STORE_DROP_PERCENT must be a percentage, got "${process.env.MAX_STORE_DROP_PERCENT}"`);
+    process.exit(1);
+  }
+
+  fetchStores();
+}
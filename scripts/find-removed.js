@@ -11,13 +11,20 @@ const orig = parse(readFileSync(join(DATA_DIR, 'original-import.csv'), 'utf-8'),
 const current = parse(readFileSync(join(DATA_DIR, 'current-sheet-export.csv'), 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
 
 const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+// Same key as merge-new-data.js: the store number goes back on the name, since
+// the pivot splits it into location_number but older sheet rows keep it in the name
+const nameKey = (r) => norm(r.store_name) + norm(r.location_number) + '|' + norm(r.city) + '|' + norm(r.state);
 
-// Match by store_name + city + state since addresses got normalized
-const currentKeys = new Set(current.map(r => norm(r.store_name) + '|' + norm(r.city) + '|' + norm(r.state)));
+// Match by store_id, which survives renames and address fixes. Rows from before
+// IDs existed fall back to name + store number + city + state (addresses got normalized).
+const currentIds = new Set(current.map(r => r.store_id).filter(Boolean));
+const currentKeys = new Set(current.map(nameKey));
 
 const removed = orig.filter(r => {
-  const key = norm(r.store_name) + '|' + norm(r.city) + '|' + norm(r.state);
-  return !currentKeys.has(key);
+  if (r.store_id && currentIds.size > 0) {
+    return !currentIds.has(r.store_id);
+  }
+  return !currentKeys.has(nameKey(r));
 });
 
 console.log(`Original import: ${orig.length} stores`);
@@ -21,6 +21,7 @@ function onOpen() {
     .addItem('Update Website', 'updateWebsite')
     .addItem('Find Missing Phone Numbers', 'findMissingPhoneNumbers')
     .addItem('Find Missing Websites', 'findMissingWebsites')
+    .addItem('Find Missing Hours', 'findMissingHours')
     .addItem('Add Crimson Cask (CC)', 'markCrimsonCask')
     .addItem('Apply KY Update (May 2026)', 'applyKentuckyUpdate')
     // .addItem('Fix Corporate Addresses', 'fixCorporateAddresses')
@@ -31,14 +32,78 @@ function onOpen() {
  * One-button update: geocodes new stores, then pushes to GitHub
  */
 function updateWebsite() {
-  // Step 1: Normalize any new addresses
+  // Step 1: Give new rows a permanent store_id
+  const idResult = assignStoreIds();
+
+  // Step 2: Normalize any new addresses
   normalizeAddresses();
 
-  // Step 2: Geocode any new stores
+  // Step 3: Geocode any new stores
   const geocodeResult = geocodeNewStores();
 
-  // Step 3: Push to GitHub
-  triggerGitHubSync(geocodeResult);
+  // Step 4: Push to GitHub
+  triggerGitHubSync({ ...geocodeResult, ...idResult });
+}
+
+/**
+ * Gives every store row a permanent store_id (S00001, S00002, ...).
+ * Adds the "store_id" column if it doesn't exist, fills in blank IDs and
+ * re-numbers duplicates (e.g. a copied row keeps the original's ID).
+ * The last number handed out is kept in Script Properties, so an ID is
+ * never reused even after its row is deleted.
+ */
+function assignStoreIds() {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+
+  const nameCol = headers.indexOf('store_name');
+  let idCol = headers.indexOf('store_id');
+
+  // Add "store_id" column if it doesn't exist
+  if (idCol === -1) {
+    idCol = headers.length;
+    sheet.getRange(1, idCol + 1).setValue('store_id');
+  }
+
+  const scriptProperties = PropertiesService.getScriptProperties();
+  let lastId = parseInt(scriptProperties.getProperty('LAST_STORE_ID') || '0', 10);
+
+  for (let i = 1; i < values.length; i++) {
+    const match = String(values[i][idCol] || '').match(/^S(\d+)$/);
+    if (match) lastId = Math.max(lastId, parseInt(match[1], 10));
+  }
+
+  const seen = new Set();
+  let assignedCount = 0;
+  let duplicateCount = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+
+    // Skip blank rows
+    if (nameCol !== -1 && !row[nameCol]) continue;
+
+    const id = String(row[idCol] || '').trim();
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      continue;
+    }
+    if (id) {
+      duplicateCount++;
+    }
+
+    lastId++;
+    const newId = 'S' + String(lastId).padStart(5, '0');
+    sheet.getRange(i + 1, idCol + 1).setValue(newId);
+    seen.add(newId);
+    assignedCount++;
+    Logger.log(`Row ${i + 1}: Assigned ${newId}${id ? ` (duplicate of ${id})` : ''}`);
+  }
+
+  scriptProperties.setProperty('LAST_STORE_ID', String(lastId));
+
+  return { assignedCount, duplicateCount };
 }
 
 /**
@@ -180,7 +245,7 @@ function geocodeNewStores() {
 
   if (addressCol === -1 || cityCol === -1 || stateCol === -1 || latCol === -1 || lngCol === -1) {
     SpreadsheetApp.getUi().alert('Error: Required columns not found. Ensure you have: address, city, state, zip, lat, lng');
-    return;
+    return { geocodedCount: 0, errorCount: 0 };
   }
 
   let geocodedCount = 0;
@@ -281,6 +346,10 @@ function triggerGitHubSync(geocodeResult) {
     if (statusCode === 204) {
       let msg = 'Website update started!\n\n';
       if (geocodeResult) {
+        if (geocodeResult.assignedCount > 0) {
+          msg += `Store IDs assigned: ${geocodeResult.assignedCount}`;
+          msg += geocodeResult.duplicateCount > 0 ? ` (${geocodeResult.duplicateCount} duplicates re-numbered)\n` : '\n';
+        }
         msg += `Geocoded: ${geocodeResult.geocodedCount} new stores\n`;
         if (geocodeResult.errorCount > 0) {
           msg += `Geocode errors: ${geocodeResult.errorCount}\n`;
@@ -538,6 +607,171 @@ function findMissingWebsites() {
   SpreadsheetApp.getUi().alert(msg);
 }
 
+/**
+ * Finds opening hours for stores that are missing them.
+ * Uses Google Places API (New) Text Search via UrlFetchApp.
+ * Requires PLACES_API_KEY in Script Properties.
+ * Writes hours as text fetch-sheet.js can read, e.g. "Mon-Sat 10am-9pm; Sun 12pm-6pm".
+ */
+function findMissingHours() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const apiKey = scriptProperties.getProperty('PLACES_API_KEY');
+
+  if (!apiKey) {
+    SpreadsheetApp.getUi().alert(
+      'Error: PLACES_API_KEY not configured.\n\n' +
+      'Please add PLACES_API_KEY to Script Properties:\n' +
+      '1. Go to Project Settings\n' +
+      '2. Add Script Property: PLACES_API_KEY = your_key'
+    );
+    return;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const dataRange = sheet.getDataRange();
+  const values = dataRange.getValues();
+  const headers = values[0];
+
+  const nameCol = headers.indexOf('store_name');
+  const addressCol = headers.indexOf('address');
+  const cityCol = headers.indexOf('city');
+  const stateCol = headers.indexOf('state');
+  let hoursCol = headers.indexOf('hours');
+
+  if (nameCol === -1 || addressCol === -1 || cityCol === -1 || stateCol === -1) {
+    SpreadsheetApp.getUi().alert('Error: Required columns not found (store_name, address, city, state).');
+    return;
+  }
+
+  // Add "hours" column if it doesn't exist
+  if (hoursCol === -1) {
+    hoursCol = headers.length;
+    sheet.getRange(1, hoursCol + 1).setValue('hours');
+  }
+
+  let foundCount = 0;
+  let notFoundCount = 0;
+  let errorCount = 0;
+  const results = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const hours = String(row[hoursCol] || '').trim();
+
+    // Skip rows that already have hours
+    if (hours) continue;
+
+    const storeName = String(row[nameCol] || '').trim();
+    const address = String(row[addressCol] || '').trim();
+    const city = String(row[cityCol] || '').trim();
+    const state = String(row[stateCol] || '').trim();
+
+    if (!storeName || !city) continue;
+
+    const query = `${storeName}, ${address}, ${city}, ${state}`;
+
+    try {
+      const url = 'https://places.googleapis.com/v1/places:searchText';
+      const payload = {
+        textQuery: query,
+        maxResultCount: 1
+      };
+      const options = {
+        method: 'post',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-Api-Key': apiKey,
+          'X-Goog-FieldMask': 'places.regularOpeningHours,places.displayName'
+        },
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true
+      };
+
+      const response = UrlFetchApp.fetch(url, options);
+      const statusCode = response.getResponseCode();
+
+      if (statusCode === 200) {
+        const data = JSON.parse(response.getContentText());
+        const openingHours = data.places && data.places.length > 0 ? data.places[0].regularOpeningHours : null;
+
+        if (openingHours && openingHours.periods && openingHours.periods.length > 0) {
+          const newHours = formatOpeningHours(openingHours.periods);
+          sheet.getRange(i + 1, hoursCol + 1).setValue(newHours);
+          foundCount++;
+          results.push(`Row ${i + 1}: ${storeName} → ${newHours}`);
+          Logger.log(`Row ${i + 1}: Found hours for "${storeName}": ${newHours}`);
+        } else {
+          notFoundCount++;
+          Logger.log(`Row ${i + 1}: No hours found for "${storeName}"`);
+        }
+      } else {
+        errorCount++;
+        Logger.log(`Row ${i + 1}: API error ${statusCode} for "${storeName}": ${response.getContentText()}`);
+      }
+
+      Utilities.sleep(200);
+    } catch (error) {
+      errorCount++;
+      Logger.log(`Row ${i + 1}: Error for "${storeName}": ${error}`);
+    }
+  }
+
+  let msg = `Find Missing Hours Complete\n\n`;
+  msg += `Found: ${foundCount}\n`;
+  msg += `Not found: ${notFoundCount}\n`;
+  msg += `Errors: ${errorCount}\n`;
+  if (foundCount > 0) {
+    msg += `\nUpdated stores:\n`;
+    results.forEach(r => { msg += r + '\n'; });
+  }
+
+  SpreadsheetApp.getUi().alert(msg);
+}
+
+/**
+ * Turns Places regularOpeningHours.periods (day 0 = Sunday) into sheet text,
+ * grouping days with the same hours: "Mon-Fri 10am-9pm; Sat 10am-10pm; Sun closed".
+ * A period that closes the next day stays on the day it opens ("Fri 5pm-2am").
+ */
+function formatOpeningHours(periods) {
+  // Open around the clock: a single period with no close
+  if (periods.length === 1 && !periods[0].close) {
+    return 'Daily 24 hours';
+  }
+
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const formatTime = (point) => {
+    const hour = point.hour || 0;
+    const minute = point.minute || 0;
+    const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+    return `${hour12}${minute ? ':' + String(minute).padStart(2, '0') : ''}${hour < 12 ? 'am' : 'pm'}`;
+  };
+
+  const byDay = dayNames.map(() => []);
+  periods.forEach(period => {
+    if (!period.open || !period.close) return;
+    byDay[period.open.day].push(`${formatTime(period.open)}-${formatTime(period.close)}`);
+  });
+
+  // Monday first, then merge runs of days with identical hours
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  const groups = [];
+  order.forEach(day => {
+    const text = byDay[day].length > 0 ? byDay[day].join(', ') : 'closed';
+    const last = groups[groups.length - 1];
+    if (last && last.text === text) {
+      last.end = day;
+    } else {
+      groups.push({ start: day, end: day, text: text });
+    }
+  });
+
+  return groups.map(group => {
+    const days = group.start === group.end ? dayNames[group.start] : `${dayNames[group.start]}-${dayNames[group.end]}`;
+    return `${days} ${group.text}`;
+  }).join('; ');
+}
+
 /**
  * Finds real street addresses for stores that have corporate/LLC names
  * instead of street addresses. Uses Google Places text search.
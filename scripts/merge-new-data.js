@@ -2,6 +2,7 @@ import { readFileSync, writeFileSync } from 'fs';
 import { parse } from 'csv-parse/sync';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { ACTIVE_PRODUCTS } from './products.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,10 +12,56 @@ const SHEET_EXPORT = join(DATA_DIR, 'current-sheet-export.csv');
 const ORIGINAL_IMPORT = join(DATA_DIR, 'original-import.csv');
 const NEW_PIVOT = join(DATA_DIR, 'initial-import.csv');
 const OUTPUT_FILE = join(DATA_DIR, 'new-stores-to-add.csv');
+const DELIVERY_UPDATES_FILE = join(DATA_DIR, 'delivery-date-updates.csv');
 
 const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-function storeKey(name, city, state) {
-  return norm(name) + '|' + norm(city) + '|' + norm(state);
+
+// The pivot splits store numbers into location_number ("LIQUOR BARN #960" → "Liquor Barn", 960),
+// so the number is put back for matching against sheet rows that still have it in the name
+function storeKey(row) {
+  return norm(row.store_name) + norm(row.location_number) + '|' + norm(row.city) + '|' + norm(row.state);
+}
+
+const escapeCsv = (value) => {
+  const s = String(value || '');
+  return (s.includes(',') || s.includes('"') || s.includes('\n')) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Refresh the <abbrev>_last delivery dates on stores already in the sheet. Pivot
+ * rows are matched to sheet rows by store_id, falling back to storeKey. A date
+ * is written when the sheet's cell is blank or older; a store the pivot doesn't
+ * cover keeps its dates. Returns the sheet rows with the new dates and a list
+ * of the changes.
+ */
+function refreshDeliveryDates(sheetRows, pivotRows, lastColumns) {
+  const pivotById = new Map();
+  const pivotByKey = new Map();
+  for (const row of pivotRows) {
+    if (row.store_id) pivotById.set(row.store_id, row);
+    const key = storeKey(row);
+    if (!pivotByKey.has(key)) pivotByKey.set(key, row);
+  }
+
+  const changes = [];
+  const rows = sheetRows.map(sheetRow => {
+    const pivotRow = (sheetRow.store_id && pivotById.get(sheetRow.store_id)) || pivotByKey.get(storeKey(sheetRow));
+    const updated = { ...sheetRow };
+    if (!pivotRow) return updated;
+
+    for (const column of lastColumns) {
+      const date = pivotRow[column] || '';
+      // ISO dates compare as strings; a date Sheets reformatted ("3/14/2026") is replaced
+      const current = /^\d{4}-\d{2}-\d{2}$/.test(sheetRow[column] || '') ? sheetRow[column] : '';
+      if (date && date > current) {
+        updated[column] = date;
+        changes.push({ row: sheetRow, column, from: sheetRow[column] || '', to: date });
+      }
+    }
+    return updated;
+  });
+
+  return { rows, changes };
 }
 
 function main() {
@@ -30,15 +77,19 @@ function main() {
   const newRows = parse(readFileSync(NEW_PIVOT, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true });
   console.log(`New pivot data: ${newRows.length} stores`);
 
-  // Build set of stores you deliberately removed (in original but not in current sheet)
-  const currentKeys = new Set(sheetRows.map(r => storeKey(r.store_name, r.city, r.state)));
-  const origKeys = new Set(origRows.map(r => storeKey(r.store_name, r.city, r.state)));
+  // Build set of stores you deliberately removed (in original but not in current sheet).
+  // Sheet rows are matched by store_id; original rows from before IDs existed fall back to
+  // name + city + state. The sales pivot has no IDs, so new rows are checked by name.
+  const currentIds = new Set(sheetRows.map(r => r.store_id).filter(Boolean));
+  const currentKeys = new Set(sheetRows.map(r => storeKey(r)));
 
   const removedKeys = new Set();
   for (const r of origRows) {
-    const key = storeKey(r.store_name, r.city, r.state);
-    if (!currentKeys.has(key)) {
-      removedKeys.add(key);
+    const stillInSheet = r.store_id && currentIds.size > 0
+      ? currentIds.has(r.store_id)
+      : currentKeys.has(storeKey(r));
+    if (!stillInSheet) {
+      removedKeys.add(storeKey(r));
     }
   }
   console.log(`\nStores you previously removed: ${removedKeys.size}`);
@@ -69,7 +120,7 @@ function main() {
   const seen = new Set();
 
   for (const row of newRows) {
-    const key = storeKey(row.store_name, row.city, row.state);
+    const key = storeKey(row);
     if (currentKeys.has(key)) {
       existingCount++;
     } else if (removedKeys.has(key)) {
@@ -94,18 +145,17 @@ function main() {
 
   // Write new stores CSV
   if (newStores.length > 0) {
-    const header = 'store_name,address,city,state,zip,phone,type,lat,lng,MM,MMEC,RR,RREC,QUAD,MMWP';
+    // Product checkboxes, then each product's last delivery date from the pivot
+    const productCols = [...ACTIVE_PRODUCTS.map(p => p.abbrev), ...ACTIVE_PRODUCTS.map(p => `${p.abbrev}_last`)];
+    const header = ['store_name', 'location_number', 'address', 'city', 'state', 'zip', 'phone', 'type', 'lat', 'lng', ...productCols].join(',');
     const lines = [header];
 
     for (const store of newStores) {
       const fields = [
-        store.store_name, store.address, store.city, store.state, store.zip,
+        store.store_name, store.location_number, store.address, store.city, store.state, store.zip,
         store.phone, store.type, '', '',
-        store.MM, store.MMEC, store.RR, store.RREC, store.QUAD, store.MMWP
-      ].map(f => {
-        const s = String(f || '');
-        return (s.includes(',') || s.includes('"') || s.includes('\n')) ? `"${s.replace(/"/g, '""')}"` : s;
-      });
+        ...productCols.map(column => store[column])
+      ].map(escapeCsv);
       lines.push(fields.join(','));
     }
 
@@ -115,11 +165,26 @@ function main() {
     console.log('\nNo new stores to add.');
   }
 
+  // Delivery dates for stores already in the sheet, in sheet order so the
+  // <abbrev>_last columns can be pasted over the sheet's
+  const lastColumns = ACTIVE_PRODUCTS.map(p => `${p.abbrev}_last`);
+  const { rows: refreshedRows, changes } = refreshDeliveryDates(sheetRows, newRows, lastColumns);
+  const updateHeader = ['store_id', 'store_name', 'location_number', 'city', 'state', ...lastColumns];
+  const updateLines = [updateHeader.join(',')];
+  for (const row of refreshedRows) {
+    updateLines.push(updateHeader.map(column => escapeCsv(row[column])).join(','));
+  }
+  writeFileSync(DELIVERY_UPDATES_FILE, updateLines.join('\n'), 'utf-8');
+  console.log(`\nUpdated ${changes.length} last delivery dates on existing stores; wrote ${refreshedRows.length} rows to ${DELIVERY_UPDATES_FILE}`);
+  for (const { row, column, from, to } of changes) {
+    console.log(`  ${row.store_name} | ${row.city}, ${row.state}: ${column} ${from || '(blank)'} → ${to}`);
+  }
+
   // Show blocked stores for reference
   if (blockedCount > 0) {
     console.log(`\n--- BLOCKED STORES (previously removed, not re-added) ---`);
     for (const row of newRows) {
-      const key = storeKey(row.store_name, row.city, row.state);
+      const key = storeKey(row);
       if (removedKeys.has(key)) {
         console.log(`  ${row.store_name} | ${row.address}, ${row.city}, ${row.state} ${row.zip}`);
       }
@@ -2,6 +2,8 @@ import XLSX from 'xlsx';
 import { writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { ACTIVE_PRODUCTS, matchProduct } from './products.js';
+import { normalizeStoreName, writeRenameReport } from './store-names.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,56 +13,42 @@ const OUTPUT_FILE = join(DATA_DIR, 'initial-import.csv');
 
 const INPUT_FILE = join(DATA_DIR, 'on and off premise full store list.xlsx');
 
-// Product abbreviation → full name (order matters for CSV columns)
-const PRODUCT_MAP = {
-  MM:   'Moonlight Mayhem!',
-  MMEC: 'Moonlight Mayhem! Extended Cut',
-  RR:   'Ryes of the Robots',
-  RREC: 'Ryes of the Robot Extended Cut',
-  QUAD: 'Quadraforce Blended Bourbon',
-  MMWP: 'Moonlight Mayhem! 2 the White Port Wolf',
-};
-
-const PRODUCT_ABBREVS = Object.keys(PRODUCT_MAP);
+// Headers the distributor export has used for the invoice date and quantity
+const DATE_COLUMNS = ['Invoice Date', 'Inv Date', 'Invoice Dt', 'Date'];
+const QUANTITY_COLUMNS = ['Quantity', 'Qty', 'Cases', 'Units'];
 
 /**
- * Normalize a raw Item Name to its abbreviation key, or null if unrecognised / excluded.
+ * Normalize a raw Item Name to its abbreviation key, or null if unrecognised / discontinued.
  */
-function matchProduct(rawName) {
+function matchItem(rawName) {
   if (!rawName) return null;
 
   // Strip pack-size suffix like "6/750 ml"
-  let name = rawName.replace(/\s+\d+\/\d+\s*ml$/i, '').replace(/\s+\d+\/\d+$/i, '').trim();
-
-  // Normalise to lower for comparison
-  const lower = name.toLowerCase();
-
-  // Exclude sold-out product
-  if (lower.includes('town at the end of tomorrow')) return null;
-
-  // Match against known products.
-  // Raw data may lack "!", may omit words like "the", or have extra suffixes like "Single Barrel".
-  // Strategy: check if the normalised raw name starts with the normalised full name,
-  // or use special-case matching for tricky names.
-  // We also need to handle "Moonlight Mayhem 2 White Port Wolf" → MMWP (raw lacks "the")
+  const name = rawName.replace(/\s+\d+\/\d+\s*ml$/i, '').replace(/\s+\d+\/\d+$/i, '').trim();
 
-  // Normalise: lowercase, strip "!", collapse whitespace
-  const norm = (s) => s.toLowerCase().replace(/!/g, '').replace(/\s+/g, ' ').trim();
-
-  const normRaw = norm(lower);
+  // Names and spelling variants come from data/products.json
+  const product = matchProduct(name);
+  return product && product.active ? product.abbrev : null;
+}
 
-  // Special case first: raw "moonlight mayhem 2 white port wolf" (missing "the")
-  if (normRaw.includes('mayhem') && normRaw.includes('2') && normRaw.includes('white port wolf')) {
-    return 'MMWP';
+/**
+ * Invoice date as "YYYY-MM-DD", or null. xlsx gives date cells as Date objects;
+ * text dates may be "2026-03-14" or "3/14/2026".
+ */
+function parseSaleDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
   }
 
-  // Try exact match first, then startsWith
-  // Process in reverse key order (longest full names first) to avoid partial matches
-  const entries = Object.entries(PRODUCT_MAP).sort((a, b) => b[1].length - a[1].length);
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
 
-  for (const [abbrev, fullName] of entries) {
-    const normFull = norm(fullName);
-    if (normRaw === normFull || normRaw.startsWith(normFull)) return abbrev;
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
   }
 
   return null;
@@ -101,7 +89,7 @@ function createStoreKey(address, city, state, zip) {
  * Header at row index 1, data starts at row index 2.
  */
 function readXlsx(filePath) {
-  const workbook = XLSX.readFile(filePath);
+  const workbook = XLSX.readFile(filePath, { cellDates: true });
   const sheetName = workbook.SheetNames[0];
   const sheet = workbook.Sheets[sheetName];
 
@@ -148,7 +136,17 @@ function pivotRawData() {
     const allRows = readXlsx(INPUT_FILE);
     console.log(`Total raw rows: ${allRows.length}`);
 
+    const columns = allRows.length > 0 ? Object.keys(allRows[0]) : [];
+    const dateColumn = DATE_COLUMNS.find(column => columns.includes(column));
+    const quantityColumn = QUANTITY_COLUMNS.find(column => columns.includes(column));
+    if (dateColumn) {
+      console.log(`Last delivery dates from "${dateColumn}"${quantityColumn ? `, skipping returns by "${quantityColumn}"` : ''}`);
+    } else {
+      console.warn(`Warning: no invoice date column (${DATE_COLUMNS.join(', ')}); last delivery dates will be blank`);
+    }
+
     const storesMap = new Map();
+    const renames = [];
 
     for (const row of allRows) {
       const address = String(row['Address'] || '').trim();
@@ -168,8 +166,15 @@ function pivotRawData() {
       const storeKey = createStoreKey(address, city, state, zip);
 
       if (!storesMap.has(storeKey)) {
+        // Distributor account names are all caps with dropped apostrophes and store numbers
+        const normalized = normalizeStoreName(storeName);
+        if (normalized.name !== storeName || normalized.location_number) {
+          renames.push({ raw_name: storeName, ...normalized, city, state });
+        }
+
         storesMap.set(storeKey, {
-          store_name: storeName,
+          store_name: normalized.name,
+          location_number: normalized.location_number,
           address,
           city,
           state,
@@ -178,7 +183,7 @@ function pivotRawData() {
           type,
           lat: '',
           lng: '',
-          products: new Set(),
+          products: new Map(), // abbrev → last invoice date ("YYYY-MM-DD") or null
         });
       }
 
@@ -191,22 +196,34 @@ function pivotRawData() {
       }
 
       // Match product
-      const abbrev = matchProduct(itemName);
+      const abbrev = matchItem(itemName);
       if (abbrev) {
-        store.products.add(abbrev);
+        // Returns and credits (negative quantities) aren't deliveries
+        const quantity = quantityColumn ? Number(row[quantityColumn]) : NaN;
+        const date = dateColumn && !(quantity <= 0) ? parseSaleDate(row[dateColumn]) : null;
+        const last = store.products.get(abbrev) || null;
+        store.products.set(abbrev, date && (!last || date > last) ? date : last);
       }
     }
 
     console.log(`Found ${storesMap.size} unique stores`);
+    writeRenameReport(renames);
 
     // Build CSV
-    const header = ['store_name', 'address', 'city', 'state', 'zip', 'phone', 'type', 'lat', 'lng', ...PRODUCT_ABBREVS].join(',');
+    // A TRUE/FALSE column per product, then its last delivery date (<abbrev>_last)
+    const header = [
+      'store_name', 'location_number', 'address', 'city', 'state', 'zip', 'phone', 'type', 'lat', 'lng',
+      ...ACTIVE_PRODUCTS.map(p => p.abbrev),
+      ...ACTIVE_PRODUCTS.map(p => `${p.abbrev}_last`)
+    ].join(',');
     const lines = [header];
 
     for (const store of storesMap.values()) {
-      const productCols = PRODUCT_ABBREVS.map(a => store.products.has(a) ? 'TRUE' : 'FALSE');
+      const productCols = ACTIVE_PRODUCTS.map(p => store.products.has(p.abbrev) ? 'TRUE' : 'FALSE');
+      const lastDeliveredCols = ACTIVE_PRODUCTS.map(p => store.products.get(p.abbrev) || '');
       lines.push([
         escapeCsvField(store.store_name),
+        escapeCsvField(store.location_number),
         escapeCsvField(store.address),
         escapeCsvField(store.city),
         escapeCsvField(store.state),
@@ -216,6 +233,7 @@ function pivotRawData() {
         store.lat,
         store.lng,
         ...productCols,
+        ...lastDeliveredCols,
       ].join(','));
     }
 
@@ -224,16 +242,10 @@ function pivotRawData() {
     console.log(`Total stores: ${storesMap.size}`);
 
     // Show product summary
-    const productCounts = {};
-    PRODUCT_ABBREVS.forEach(a => { productCounts[a] = 0; });
-    for (const store of storesMap.values()) {
-      for (const a of store.products) {
-        productCounts[a]++;
-      }
-    }
     console.log('\nProduct counts:');
-    for (const [a, count] of Object.entries(productCounts)) {
-      console.log(`  ${a} (${PRODUCT_MAP[a]}): ${count} stores`);
+    for (const product of ACTIVE_PRODUCTS) {
+      const count = Array.from(storesMap.values()).filter(store => store.products.has(product.abbrev)).length;
+      console.log(`  ${product.abbrev} (${product.name}): ${count} stores`);
     }
 
   } catch (error) {
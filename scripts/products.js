@@ -0,0 +1,80 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CATALOG_FILE = join(__dirname, '../data/products.json');
+
+/**
+ * The product catalog, data/products.json. Each product is
+ *   { abbrev, name, aliases, active, category, description, image }
+ * where abbrev is the sheet's checkbox column, name is what the website shows,
+ * aliases are other spellings in raw sales data, and active is false once a
+ * product is discontinued. category, description and image (a path relative to
+ * data/) are only read by the website. Catalog order is the sheet's column order.
+ * Throws if the file is malformed, so no script runs with a half-read catalog.
+ */
+function loadProducts() {
+  const products = JSON.parse(readFileSync(CATALOG_FILE, 'utf-8'));
+  if (!Array.isArray(products)) {
+    throw new Error(`${CATALOG_FILE} must be an array of products`);
+  }
+
+  const seen = new Set();
+  products.forEach((product, i) => {
+    const { abbrev, name, aliases = [], active } = product;
+    if (typeof abbrev !== 'string' || !/^[A-Z][A-Z0-9]*$/.test(abbrev)) {
+      throw new Error(`Product ${i + 1} in ${CATALOG_FILE}: abbrev must be an upper-case column name, got ${JSON.stringify(abbrev)}`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`Product ${abbrev} in ${CATALOG_FILE} has no name`);
+    }
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      throw new Error(`Product ${abbrev} in ${CATALOG_FILE}: aliases must be a list of names`);
+    }
+    if (typeof active !== 'boolean') {
+      throw new Error(`Product ${abbrev} in ${CATALOG_FILE}: active must be true or false`);
+    }
+    for (const field of ['category', 'description', 'image']) {
+      if (product[field] !== undefined && typeof product[field] !== 'string') {
+        throw new Error(`Product ${abbrev} in ${CATALOG_FILE}: ${field} must be text`);
+      }
+    }
+    if (seen.has(abbrev)) {
+      throw new Error(`Product ${abbrev} is listed twice in ${CATALOG_FILE}`);
+    }
+    seen.add(abbrev);
+    product.aliases = aliases;
+  });
+
+  return products;
+}
+
+export const PRODUCTS = loadProducts();
+
+// Products still sold: these get sheet columns and appear on the website
+export const ACTIVE_PRODUCTS = PRODUCTS.filter(product => product.active);
+
+// Normalise a product name for matching: lowercase, no "!", single spaces
+const normalizeName = (s) => s.toLowerCase().replace(/!/g, '').replace(/\s+/g, ' ').trim();
+
+// Every name and alias, longest first so "Moonlight Mayhem! Extended Cut" wins over "Moonlight Mayhem!"
+const NAME_MATCHERS = PRODUCTS
+  .flatMap(product => [product.name, ...product.aliases].map(name => ({ name: normalizeName(name), product })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Catalog product for a raw item name from sales data, or null if unrecognised.
+ * Matches a name or alias exactly or as a prefix, since raw names carry extra
+ * suffixes like "Single Barrel". Discontinued products are returned too; callers
+ * decide whether to skip them.
+ */
+export function matchProduct(rawName) {
+  const normalized = normalizeName(String(rawName || ''));
+  if (!normalized) return null;
+
+  const match = NAME_MATCHERS.find(({ name }) => normalized.startsWith(name));
+  return match ? match.product : null;
+}
@@ -0,0 +1,161 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { matchChain } from './chains.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '../data');
+const EXCEPTIONS_FILE = join(DATA_DIR, 'name-exceptions.json');
+const REPORT_FILE = join(DATA_DIR, 'name-changes.csv');
+
+// Words kept in capitals when an all-caps name is title-cased
+const PRESERVED_WORDS = new Set([
+  'ABC', 'BBQ', 'BP', 'BWW', 'CVS', 'DJ', 'HEB', 'IGA', 'II', 'III', 'IV', 'KFC', 'LLC',
+  'NYC', 'TJ', 'USA', 'VFW', 'VIP', 'XO'
+]);
+
+// Words left lower-case unless they start or end the name or follow a dash
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to']);
+
+// A bare trailing number after one of these is part of the name ("Route 66"), not a store number
+const NUMBERED_NAME_WORDS = new Set(['route', 'rt', 'highway', 'hwy', 'exit', 'pier', 'studio', 'club', 'station']);
+
+const collapseSpaces = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Hand-made names from data/name-exceptions.json, keyed by the raw name in
+ * lower case. Each value is the name to use, or { name, location_number }.
+ * Throws if the file is malformed; a missing file means no exceptions.
+ */
+function loadExceptions() {
+  let exceptions;
+  try {
+    exceptions = JSON.parse(readFileSync(EXCEPTIONS_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+  if (!exceptions || typeof exceptions !== 'object' || Array.isArray(exceptions)) {
+    throw new Error(`${EXCEPTIONS_FILE} must map raw store names to names`);
+  }
+
+  return new Map(Object.entries(exceptions).map(([raw, value]) => {
+    const fixed = typeof value === 'string' ? { name: value, location_number: '' } : value;
+    if (!fixed || typeof fixed.name !== 'string' || !fixed.name.trim()) {
+      throw new Error(`${EXCEPTIONS_FILE}: "${raw}" needs a name`);
+    }
+    return [collapseSpaces(raw).toLowerCase(), { name: fixed.name.trim(), location_number: String(fixed.location_number || '') }];
+  }));
+}
+
+const EXCEPTIONS = loadExceptions();
+
+/**
+ * Split a trailing store number off a name: "LIQUOR BARN #960", "Wine Shop No. 3",
+ * "COX S EVERGREEN LIQUOR#41". Numbers in the middle of a name ("KROGER #767
+ * LIQUOR") are left alone. A bare number ("Trevors 2", "TODDY S LIQUOR 1") is
+ * only a store number for a chain in data/chains.json, or a single digit after
+ * an all-caps account name of two or more words; otherwise it is part of the
+ * name ("BAR 21", "Crown Liquor 2") and data/name-exceptions.json can say so.
+ */
+function splitLocationNumber(name) {
+  const match = name.match(/^(.*?)\s*(?:#\s*|\bno\.?\s*|\bstore\s+|\s)(\d{1,4})$/i);
+  if (!match || !/[a-z]/i.test(match[1])) return { name, location_number: '' };
+
+  const bare = !/[#.]|\bno\b|\bstore\b/i.test(name.slice(match[1].length));
+  if (bare) {
+    const words = match[1].split(' ');
+    if (match[2].length > 2 || NUMBERED_NAME_WORDS.has(words[words.length - 1].toLowerCase())) {
+      return { name, location_number: '' };
+    }
+    const account = match[2].length === 1 && words.length > 1 && !/[a-z]/.test(match[1]);
+    if (!account && !matchChain(match[1])) return { name, location_number: '' };
+  }
+
+  return { name: match[1].replace(/[\s,-]+$/, ''), location_number: match[2] };
+}
+
+/**
+ * Restore apostrophes the distributor export drops: "Bill s Distributing" →
+ * "Bill's Distributing", "TODDY S LIQUOR" → "TODDY'S LIQUOR". Single letters
+ * ("J S Liquor") are taken as initials, and a stray S after a plural
+ * ("WINE & SPIRITS S", a cut-off name) is left alone.
+ */
+function restoreApostrophes(name) {
+  return name.replace(/\b([a-z]+[a-rt-z]) (s)(?= |$)/gi, "$1'$2");
+}
+
+/**
+ * Title-case one word of an all-caps name. edge is true for a word that starts
+ * or ends the name (or a part after a dash), where small words are capitalized.
+ */
+function titleCaseWord(word, edge) {
+  const [, prefix, core, suffix] = word.match(/^([^a-z0-9]*)(.*?)([^a-z0-9%]*)$/i);
+  if (!core) return word;
+
+  if (PRESERVED_WORDS.has(core.toUpperCase())) return prefix + core.toUpperCase() + suffix;
+  if (!edge && SMALL_WORDS.has(core.toLowerCase())) return prefix + core.toLowerCase() + suffix;
+
+  const cased = core.toLowerCase()
+    // Each part of "Hy-Vee", "Beer/Wine", "R&J"
+    .replace(/(^|[-/&])([a-z])/g, (m, separator, letter) => separator + letter.toUpperCase())
+    // Initials: "J.R.", but "Wine.com"
+    .replace(/\.([a-z])(?![a-z])/g, (m, letter) => `.${letter.toUpperCase()}`)
+    // "O'Malley", but "Toddy's"
+    .replace(/'([a-z])(?=[a-z]{2})/g, (m, letter) => `'${letter.toUpperCase()}`)
+    .replace(/^Mc([a-z])/, (m, letter) => `Mc${letter.toUpperCase()}`);
+  return prefix + cased + suffix;
+}
+
+/**
+ * Title-case an all-caps name: "THE WINE & SPIRITS SHOP OF LOUISVILLE" →
+ * "The Wine & Spirits Shop of Louisville". Names with any lower-case letters
+ * were typed by a person and keep their casing.
+ */
+function titleCase(name) {
+  if (/[a-z]/.test(name)) return name;
+
+  const words = name.split(' ');
+  return words.map((word, i) =>
+    titleCaseWord(word, i === 0 || i === words.length - 1 || /^[-–—]$/.test(words[i - 1]))
+  ).join(' ');
+}
+
+/**
+ * Clean up a raw account name for the website: { name, location_number, exception }.
+ * Deterministic, so re-running on an already clean name changes nothing. A
+ * name listed in data/name-exceptions.json is used as written.
+ */
+export function normalizeStoreName(rawName) {
+  const raw = collapseSpaces(rawName);
+  const exception = EXCEPTIONS.get(raw.toLowerCase());
+  if (exception) return { ...exception, exception: true };
+
+  const { name, location_number } = splitLocationNumber(raw);
+  return { name: titleCase(restoreApostrophes(name)), location_number, exception: false };
+}
+
+/**
+ * Write data/name-changes.csv: one row per renamed store, so a person can check
+ * the changes and copy any bad ones into data/name-exceptions.json.
+ * renames are { raw_name, name, location_number, city, state, exception }.
+ */
+export function writeRenameReport(renames) {
+  const header = 'raw_name,name,location_number,city,state,source';
+  const lines = [header];
+  for (const rename of renames) {
+    const fields = [
+      rename.raw_name, rename.name, rename.location_number, rename.city, rename.state,
+      rename.exception ? 'exception' : 'rules'
+    ];
+    lines.push(fields.map(v => {
+      const s = String(v || '');
+      return (s.includes(',') || s.includes('"') || s.includes('\n')) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(','));
+  }
+
+  writeFileSync(REPORT_FILE, lines.join('\n'), 'utf-8');
+  console.log(`Wrote ${renames.length} renamed stores to ${REPORT_FILE}`);
+}
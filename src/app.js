@@ -1,473 +1,424 @@
 /**
  * Filmland Store Locator
  * Production-ready vanilla JavaScript store locator with Google Maps
+ *
+ * Usage:
+ *   const locator = window.FilmlandLocator.create(element, { radiusOptions: [5, 10, 25] });
+ *   locator.search('Louisville, KY');
+ *   locator.setRadius(25);
+ *   locator.setFilters({ type: 'off-premise', products: ['Moonlight Mayhem!'], productMatch: 'any' });
+ *   locator.setSort({ by: 'name', typeFirst: 'off-premise' });
+ *   locator.selectStore(storeId);
+ *   locator.destroy();
+ *
+ * Every .store-locator-container on the page is created automatically with the
+ * default config unless it has data-auto-init="false".
  */
 
 (function() {
   'use strict';
 
-  // Configuration
-  const CONFIG = {
+  /**
+   * URL of a file in data/, relative to wherever app.js is served from
+   */
+  function resolveDataUrl(file) {
+    try {
+      const scripts = document.querySelectorAll('script[src*="app.js"]');
+      const src = scripts[scripts.length - 1]?.src;
+      if (src) {
+        return new URL(`../data/${file}`, src).href;
+      }
+    } catch (e) {}
+    return `../data/${file}`;
+  }
+
+  // Default configuration (override per instance via create(element, options))
+  const DEFAULT_CONFIG = {
     mapId: 'f819752469bfd00fc0ac5d17',
     defaultCenter: { lat: 39.8, lng: -98.5 },
     defaultZoom: 4,
-    dataUrl: (() => {
-      try {
-        const scripts = document.querySelectorAll('script[src*="app.js"]');
-        const src = scripts[scripts.length - 1]?.src;
-        if (src) {
-          return new URL('../data/stores.json', src).href;
-        }
-      } catch (e) {}
-      return '../data/stores.json';
-    })(),
+    dataUrl: resolveDataUrl('stores.json'),
+    // Product images, descriptions and categories (see data/products.json)
+    productsUrl: resolveDataUrl('products.json'),
+    // Retail chain logos and websites (see data/chains.json)
+    chainsUrl: resolveDataUrl('chains.json'),
+    // Open focused on one product, by abbreviation ('MM') or name, e.g. on that
+    // product's landing page. A container's data-product attribute does the same.
+    product: null,
+    // Products not delivered to a store for this many months are dimmed and flagged (0 turns it off)
+    staleAfterMonths: 6,
+    // Offline search data (see scripts/build-gazetteer.js). zipCentroidsUrl is the
+    // directory holding one <first digit>.json shard per zip prefix, ending in a slash
+    gazetteerUrl: resolveDataUrl('gazetteer.json'),
+    zipCentroidsUrl: resolveDataUrl('zips/'),
     defaultRadius: 10,
     radiusOptions: [5, 10, 25, 50, 100],
-    brandColor: '#cc9966'
+    // Language of the locator's text ('en', 'es', 'es-MX', ...); defaults to the page's lang attribute
+    locale: null,
+    // 'imperial' (miles) or 'metric' (km); defaults to the locale's convention
+    units: null,
+    // Per-key overrides of the message catalog, e.g. { 'results.prompt': '...' }
+    messages: {},
+    // Where to send analytics events besides the DOM: adapter names from
+    // ANALYTICS_ADAPTERS and/or functions called with (name, detail)
+    analytics: ['dataLayer'],
+    brandColor: '#cc9966',
+    // Mirror the search in the page URL; turn off for secondary locators on the same page
+    syncUrl: true,
+    // 'auto' uses Google Maps and falls back to Leaflet if Google fails; or force 'google' / 'leaflet'
+    mapProvider: 'auto',
+    tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileAttribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    leafletUrl: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    leafletCssUrl: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    leafletClusterUrl: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    leafletClusterCssUrls: [
+      'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+      'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css'
+    ]
   };
 
-  // Display label mapping for store types
-  const TYPE_LABELS = {
-    'off-premise': 'Retail',
-    'on-premise': 'Bars & Restaurants'
-  };
+  // How many stores to show when nothing is within the widest radius
+  const NEAREST_STORE_COUNT = 5;
 
-  function getTypeDisplayLabel(type) {
-    if (!type) return '';
-    return TYPE_LABELS[type.toLowerCase()] || type;
-  }
+  // Store cards rendered per page of the list ("Load more" adds the next page)
+  const LIST_PAGE_SIZE = 25;
 
-  // State
-  let map;
-  let stores = [];
-  let markers = [];
-  let markerClusterer;
-  let currentLocation = null;
-  let currentRadius = CONFIG.defaultRadius;
-  let filteredStores = [];
-  let autocompleteElement;
-  let infoWindow;
-  let currentFilters = {
-    type: 'all',
-    product: 'all'
+  // Query parameters owned by the locator when syncUrl is on
+  const URL_PARAMS = ['q', 'lat', 'lng', 'state', 'area', 'radius', 'type', 'chain', 'product', 'match', 'open', 'store', 'view'];
+
+  // Radius choices when distances are shown in km and the config doesn't set its own
+  const METRIC_RADIUS_DEFAULTS = {
+    defaultRadius: 20,
+    radiusOptions: [10, 20, 50, 100, 200]
   };
-  let currentStateFilter = null;
-  let isMobile = window.innerWidth <= 768;
-  let mobileView = 'list'; // 'list' or 'map'
 
-  /**
-   * Wait for dependencies to load
-   */
-  async function waitForDependencies(maxWait = 10000) {
-    const start = Date.now();
-    while ((!window.google?.maps || !window.markerClusterer) && Date.now() - start < maxWait) {
-      await new Promise(r => setTimeout(r, 100));
-    }
-    if (!window.google?.maps) throw new Error('Google Maps failed to load');
-    if (!window.markerClusterer) throw new Error('MarkerClusterer failed to load');
-  }
+  // Regions that give road distances in miles; other regions get km
+  const IMPERIAL_REGIONS = ['US', 'GB', 'LR', 'MM'];
 
   /**
-   * Initialize the application
+   * Message catalog. A message is a string with {placeholders}, or an object of
+   * plural forms keyed by Intl.PluralRules category and chosen by the {count} param.
+   * Missing keys in a language fall back to English.
    */
-  async function init() {
-    try {
-      // Wait for dependencies
-      await waitForDependencies();
-
-      // Load stores data
-      await loadStores();
-
-      // Initialize Google Maps
-      await initMap();
-
-      // Setup UI
-      setupDistanceFilters();
-      setupTypeFilter();
-      setupProductFilter();
-      setupSearch();
-      setupGeolocation();
-      setupMobileToggle();
-      setupWindowResize();
-      setupCallAheadModal();
-
-    } catch (error) {
-      console.error('Initialization error:', error);
-      showError('Unable to load store locations. Please try again later.');
+  const MESSAGES = {
+    en: {
+      'search.placeholder': 'Enter your zip or city',
+      'search.notFound': 'We couldn\'t find "{query}". Try a zip code, city or state.',
+      'location.near': 'Stores near {place}',
+      'location.in': 'Stores in {place}',
+      'location.area': 'Stores in this map area',
+      'search.area': 'Search this area',
+      'results.loading': 'Loading stores...',
+      'results.prompt': 'Enter your zip or city to find nearby stores',
+      'results.promptFiltered': '{stores}{products}. Enter your zip or city to find nearby stores',
+      'results.stores': { one: '{count} store', other: '{count} stores' },
+      'results.within': '{stores} within {distance}{products}',
+      'results.inState': '{stores} in {state}{products}',
+      'results.inArea': '{stores} in this map area{products}',
+      'results.none': 'No stores found{products}. Try changing your filters.',
+      'results.noneInState': 'No stores found in {state}{products}.',
+      'results.noneInArea': 'No stores in this map area{products}. Try zooming out.',
+      'results.noneInRadius': 'No stores found within the selected radius.',
+      'results.widened': 'Nothing within {distance}, so we widened the search to {widened}.',
+      'results.nearest': {
+        one: 'No stores within {distance}. The {count} closest store{products}:',
+        other: 'No stores within {distance}. The {count} closest stores{products}:'
+      },
+      'results.stateLine': 'The nearest store is across the state line in {state}.',
+      'products.any': ' carrying {products}',
+      'products.both': ' carrying both {products}',
+      'products.all': ' carrying all of {products}',
+      'units.mi': { one: '{count} mile', other: '{count} miles' },
+      'units.mi.short': '{count} mi',
+      'units.km': '{count} km',
+      'units.km.short': '{count} km',
+      'filters.distance': 'Distance',
+      'filters.radius': 'Search radius',
+      'filters.type': 'Location Type',
+      'filters.allTypes': 'All Types',
+      'filters.chain': 'Chain',
+      'filters.allChains': 'All Stores',
+      'filters.products': 'Products',
+      'filters.matchAny': 'Any of',
+      'filters.matchAll': 'All of',
+      'filters.openNow': 'Open now',
+      'products.showAll': 'Show all Filmland products',
+      'products.showOnly': 'Only stores with {product}',
+      'products.lastDelivered': 'Last delivered: {date}',
+      'products.stale': 'Not delivered recently. Call to check it\'s in stock.',
+      'category.bourbon': 'Bourbon',
+      'category.rye': 'Rye Whiskey',
+      'type.off-premise': 'Retail',
+      'type.on-premise': 'Bars & Restaurants',
+      'sort.label': 'Sort by',
+      'sort.distance': 'Distance',
+      'sort.name': 'Name',
+      'sort.city': 'City',
+      'sort.products': 'Most Filmland products',
+      'sort.typeOrder': 'Group by location type',
+      'sort.typesTogether': 'All types together',
+      'sort.retailFirst': 'Retail first',
+      'sort.barsFirst': 'Bars first',
+      'list.label': 'Stores',
+      'list.loadMore': 'Load more ({count} remaining)',
+      'store.website': 'Visit Website',
+      'store.directions': 'Get Directions',
+      'store.distance': '{distance} away',
+      'store.details': 'More details',
+      'hours.open': 'Open now',
+      'hours.closed': 'Closed',
+      'hours.today': 'Today: {hours}',
+      'hours.closedToday': 'Closed today',
+      'hours.allDay': 'Open 24 hours',
+      'hours.closedDay': 'Closed',
+      'detail.label': 'Store details',
+      'detail.back': 'Back to list',
+      'detail.distanceFrom': '{distance} from {place}',
+      'detail.products': 'Filmland products here',
+      'detail.hours': 'Hours',
+      'detail.share': 'Share',
+      'detail.shareText': 'Find Filmland Spirits at {name} in {city}, {state}',
+      'detail.copied': 'Link copied',
+      'detail.copyPrompt': 'Copy this link:',
+      'modal.label': 'Call ahead reminder',
+      'modal.close': 'Close',
+      'modal.message': 'Please make sure to call ahead or check the website to confirm the Filmland products you\'re interested in are in inventory at this location.',
+      'modal.call': 'Call {phone}',
+      'modal.searchPhone': 'Search for Phone Number',
+      'modal.website': 'Check the Website',
+      'modal.searchWebsite': 'Search for Website',
+      'modal.continue': 'Continue to Directions',
+      'modal.continueIn': 'Continue in {app}',
+      'modal.otherApps': 'Or open in',
+      'error.stores': 'Unable to load store locations. Please try again later.',
+      'error.map': 'Map is temporarily unavailable. Please try again later.'
+    },
+    es: {
+      'search.placeholder': 'Ingresa tu código postal o ciudad',
+      'search.notFound': 'No encontramos "{query}". Prueba con un código postal, una ciudad o un estado.',
+      'location.near': 'Tiendas cerca de {place}',
+      'location.in': 'Tiendas en {place}',
+      'location.area': 'Tiendas en esta zona del mapa',
+      'search.area': 'Buscar en esta zona',
+      'results.loading': 'Cargando tiendas...',
+      'results.prompt': 'Ingresa tu código postal o ciudad para encontrar tiendas cercanas',
+      'results.promptFiltered': '{stores}{products}. Ingresa tu código postal o ciudad para encontrar tiendas cercanas',
+      'results.stores': { one: '{count} tienda', other: '{count} tiendas' },
+      'results.within': '{stores} a menos de {distance}{products}',
+      'results.inState': '{stores} en {state}{products}',
+      'results.inArea': '{stores} en esta zona del mapa{products}',
+      'results.none': 'No se encontraron tiendas{products}. Prueba a cambiar los filtros.',
+      'results.noneInState': 'No se encontraron tiendas en {state}{products}.',
+      'results.noneInArea': 'No hay tiendas en esta zona del mapa{products}. Prueba a alejar el mapa.',
+      'results.noneInRadius': 'No se encontraron tiendas dentro del radio seleccionado.',
+      'results.widened': 'No hay nada a menos de {distance}, así que ampliamos la búsqueda a {widened}.',
+      'results.nearest': {
+        one: 'No hay tiendas a menos de {distance}. La tienda más cercana{products}:',
+        other: 'No hay tiendas a menos de {distance}. Las {count} tiendas más cercanas{products}:'
+      },
+      'results.stateLine': 'La tienda más cercana está al otro lado de la frontera estatal, en {state}.',
+      'products.any': ' que venden {products}',
+      'products.both': ' que venden {products}',
+      'products.all': ' que venden todos estos productos: {products}',
+      'units.mi': { one: '{count} milla', other: '{count} millas' },
+      'units.mi.short': '{count} mi',
+      'units.km': '{count} km',
+      'units.km.short': '{count} km',
+      'filters.distance': 'Distancia',
+      'filters.radius': 'Radio de búsqueda',
+      'filters.type': 'Tipo de local',
+      'filters.allTypes': 'Todos los tipos',
+      'filters.chain': 'Cadena',
+      'filters.allChains': 'Todas las tiendas',
+      'filters.products': 'Productos',
+      'filters.matchAny': 'Cualquiera',
+      'filters.matchAll': 'Todos',
+      'filters.openNow': 'Abierto ahora',
+      'products.showAll': 'Ver todos los productos Filmland',
+      'products.showOnly': 'Solo tiendas con {product}',
+      'products.lastDelivered': 'Última entrega: {date}',
+      'products.stale': 'Sin entregas recientes. Llama para confirmar que lo tienen.',
+      'category.bourbon': 'Bourbon',
+      'category.rye': 'Whisky de centeno',
+      'type.off-premise': 'Tiendas',
+      'type.on-premise': 'Bares y restaurantes',
+      'sort.label': 'Ordenar por',
+      'sort.distance': 'Distancia',
+      'sort.name': 'Nombre',
+      'sort.city': 'Ciudad',
+      'sort.products': 'Más productos Filmland',
+      'sort.typeOrder': 'Agrupar por tipo de local',
+      'sort.typesTogether': 'Todos los tipos juntos',
+      'sort.retailFirst': 'Tiendas primero',
+      'sort.barsFirst': 'Bares primero',
+      'list.label': 'Tiendas',
+      'list.loadMore': 'Cargar más (quedan {count})',
+      'store.website': 'Visitar sitio web',
+      'store.directions': 'Cómo llegar',
+      'store.distance': 'a {distance}',
+      'store.details': 'Más detalles',
+      'hours.open': 'Abierto ahora',
+      'hours.closed': 'Cerrado',
+      'hours.today': 'Hoy: {hours}',
+      'hours.closedToday': 'Cerrado hoy',
+      'hours.allDay': 'Abierto las 24 horas',
+      'hours.closedDay': 'Cerrado',
+      'detail.label': 'Detalles de la tienda',
+      'detail.back': 'Volver a la lista',
+      'detail.distanceFrom': 'a {distance} de {place}',
+      'detail.products': 'Productos Filmland en esta tienda',
+      'detail.hours': 'Horario',
+      'detail.share': 'Compartir',
+      'detail.shareText': 'Encuentra Filmland Spirits en {name}, {city}, {state}',
+      'detail.copied': 'Enlace copiado',
+      'detail.copyPrompt': 'Copia este enlace:',
+      'modal.label': 'Recordatorio para llamar antes',
+      'modal.close': 'Cerrar',
+      'modal.message': 'Llama antes o consulta el sitio web para confirmar que los productos Filmland que te interesan están disponibles en este local.',
+      'modal.call': 'Llamar al {phone}',
+      'modal.searchPhone': 'Buscar el número de teléfono',
+      'modal.website': 'Consultar el sitio web',
+      'modal.searchWebsite': 'Buscar el sitio web',
+      'modal.continue': 'Continuar a las indicaciones',
+      'modal.continueIn': 'Continuar en {app}',
+      'modal.otherApps': 'O abrir en',
+      'error.stores': 'No se pudieron cargar las tiendas. Inténtalo de nuevo más tarde.',
+      'error.map': 'El mapa no está disponible en este momento. Inténtalo de nuevo más tarde.'
     }
-  }
+  };
 
   /**
-   * Load stores from JSON
+   * Pick the catalog language for a locator: config.locale, else the nearest
+   * lang attribute. Unsupported languages fall back to English.
    */
-  async function loadStores() {
-    try {
-      const cacheBust = `?t=${Date.now()}`;
-      const response = await fetch(CONFIG.dataUrl + cacheBust);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      stores = await response.json();
-    } catch (error) {
-      console.error('Error loading stores:', error);
-      throw error;
-    }
+  function resolveLocale(configLocale, root) {
+    const requested = configLocale || root.closest('[lang]')?.getAttribute('lang') || 'en';
+    const language = requested.toLowerCase().split('-')[0];
+    return MESSAGES[language]
+      ? { locale: requested, language }
+      : { locale: 'en-US', language: 'en' };
   }
 
   /**
-   * Initialize Google Maps
+   * 'mi' or 'km' from config.units, else from the locale's region ("es-MX" → km).
+   * A locale without a region ("es") keeps miles, since the stores are in the US.
    */
-  async function initMap() {
-    try {
-      // Load required libraries
-      const { Map } = await google.maps.importLibrary('maps');
-      const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
-      const { PlaceAutocompleteElement } = await google.maps.importLibrary('places');
-
-      // Create map
-      const mapElement = document.getElementById('map');
-      map = new Map(mapElement, {
-        center: CONFIG.defaultCenter,
-        zoom: CONFIG.defaultZoom,
-        mapId: CONFIG.mapId,
-        mapTypeControl: false,
-        streetViewControl: false,
-        fullscreenControl: true
-      });
-
-      // Create info window
-      infoWindow = new google.maps.InfoWindow();
-    } catch (error) {
-      console.error('Error initializing map:', error);
-      showError('Map is temporarily unavailable. Please try again later.');
-      throw error;
-    }
+  function resolveDistanceUnit(units, locale) {
+    if (units === 'metric') return 'km';
+    if (units === 'imperial') return 'mi';
+    const region = locale.split('-')[1]?.toUpperCase();
+    return region && !IMPERIAL_REGIONS.includes(region) ? 'km' : 'mi';
   }
 
   /**
-   * Setup search autocomplete
+   * Translate function for a locale: t(key, params) fills {placeholders} from
+   * params (numbers are formatted for the locale) and picks plural forms by params.count.
+   * t.has(key) tells whether the catalog has a message.
    */
-  async function setupSearch() {
-    try {
-      const { PlaceAutocompleteElement } = await google.maps.importLibrary('places');
-
-      // Create autocomplete element
-      autocompleteElement = new PlaceAutocompleteElement({
-        includedRegionCodes: ['us']
-      });
-
-      // Style the autocomplete element
-      autocompleteElement.placeholder = 'Enter your zip or city';
-
-      // Add to DOM
-      const searchInput = document.getElementById('search-input');
-      searchInput.appendChild(autocompleteElement);
-
-      // Handle Enter key: geocode the typed text as fallback
-      autocompleteElement.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          // Small delay to let gmp-select fire first if user selected from dropdown
-          setTimeout(async () => {
-            const input = autocompleteElement.shadowRoot?.querySelector('input');
-            const query = input?.value;
-            if (!query) return;
-
-            // Use Geocoder to resolve typed text
-            const geocoder = new google.maps.Geocoder();
-            try {
-              const result = await geocoder.geocode({ address: query });
-              if (result.results && result.results.length > 0) {
-                const r = result.results[0];
-                const loc = r.geometry.location;
-
-                // Check if this is a state-level search
-                const isStateSearch = r.types?.includes('administrative_area_level_1');
-
-                // Extract state code
-                let stateCode = null;
-                if (isStateSearch && r.address_components) {
-                  const stateComponent = r.address_components.find(c =>
-                    c.types?.includes('administrative_area_level_1')
-                  );
-                  if (stateComponent) {
-                    stateCode = stateComponent.short_name;
-                  }
-                }
-
-                const locationLabel = document.getElementById('current-location-label');
-
-                if (isStateSearch && stateCode) {
-                  // State-level search
-                  currentLocation = null;
-                  currentStateFilter = stateCode;
-
-                  if (locationLabel) {
-                    const stateName = r.formatted_address?.replace(/,\s*(USA|United States)$/i, '') || stateCode;
-                    locationLabel.textContent = `Stores in ${stateName}`;
-                    locationLabel.style.display = 'block';
-                  }
-
-                  await filterByState(stateCode);
-                } else {
-                  // City/address search
-                  currentLocation = { lat: loc.lat(), lng: loc.lng() };
-                  currentStateFilter = null;
-
-                  if (locationLabel) {
-                    const addr = r.formatted_address || query;
-                    const cleanText = addr.replace(/,\s*(USA|United States)$/i, '');
-                    locationLabel.textContent = `Stores near ${cleanText}`;
-                    locationLabel.style.display = 'block';
-                  }
-
-                  await filterAndDisplayStores();
-                }
-              }
-            } catch (err) {
-              console.error('Geocode failed:', err);
-            }
-          }, 300);
-        }
-      });
-
-      // Listen for place selection
-      autocompleteElement.addEventListener('gmp-select', async (event) => {
-        const placePrediction = event.placePrediction;
-        const place = placePrediction.toPlace();
-
-        await place.fetchFields({ fields: ['location', 'formattedAddress', 'types', 'addressComponents'] });
-        const location = place.location;
-
-        if (location) {
-          // Check if this is a state-level search
-          const isStateSearch = place.types?.includes('administrative_area_level_1');
-
-          // Extract state code if this is a state search
-          let stateCode = null;
-          if (isStateSearch && place.addressComponents) {
-            const stateComponent = place.addressComponents.find(c =>
-              c.types?.includes('administrative_area_level_1')
-            );
-            if (stateComponent) {
-              stateCode = stateComponent.shortText;
-            }
-          }
-
-          if (isStateSearch && stateCode) {
-            // State-level search: show all stores in that state
-            currentLocation = null; // Clear location-based filtering
-            currentStateFilter = stateCode;
-
-            const locationLabel = document.getElementById('current-location-label');
-            if (locationLabel) {
-              const stateName = place.formattedAddress?.replace(/,\s*(USA|United States)$/i, '') || stateCode;
-              locationLabel.textContent = `Stores in ${stateName}`;
-              locationLabel.style.display = 'block';
-            }
-
-            await filterByState(stateCode);
-          } else {
-            // City/address search: use distance-based filtering
-            currentLocation = {
-              lat: location.lat(),
-              lng: location.lng()
-            };
-            currentStateFilter = null;
-
-            // Update location label with full address
-            const locationLabel = document.getElementById('current-location-label');
-            if (locationLabel) {
-              const locationText = place.formattedAddress || placePrediction.text?.toString() || '';
-              if (locationText) {
-                // Remove country suffix (", USA" or ", United States")
-                const cleanText = locationText.replace(/,\s*(USA|United States)$/i, '');
-                locationLabel.textContent = `Stores near ${cleanText}`;
-                locationLabel.style.display = 'block';
-              }
-            }
-
-            // Filter and display stores
-            await filterAndDisplayStores();
-          }
-        }
+  function createTranslator(locale, language, overrides = {}) {
+    const messages = { ...MESSAGES.en, ...MESSAGES[language], ...overrides };
+    const pluralRules = new Intl.PluralRules(locale);
+    const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+
+    function t(key, params = {}) {
+      let message = messages[key] ?? key;
+      if (typeof message === 'object') {
+        message = message[pluralRules.select(params.count)] ?? message.other;
+      }
+      return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined) return placeholder;
+        return typeof value === 'number' ? numberFormat.format(value) : String(value);
       });
-
-    } catch (error) {
-      console.error('Error setting up search:', error);
     }
-  }
-
-  /**
-   * Setup geolocation
-   */
-  function setupGeolocation() {
-    if ('geolocation' in navigator) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          currentLocation = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude
-          };
-
-          // Reverse geocode to show user's location
-          const geocoder = new google.maps.Geocoder();
-          geocoder.geocode({ location: currentLocation }, (results, status) => {
-            if (status === 'OK' && results[0]) {
-              // Prefer neighborhood/sublocality, then postal code, then first result
-              const neighborhood = results.find(r => r.types.includes('neighborhood') || r.types.includes('sublocality'));
-              const postalCode = results.find(r => r.types.includes('postal_code'));
-              const locality = results.find(r => r.types.includes('locality'));
-              const best = neighborhood || postalCode || locality || results[0];
-              let locationText = best.formatted_address;
-              const locationLabel = document.getElementById('current-location-label');
-              if (locationLabel) {
-                locationLabel.textContent = `Stores near ${locationText}`;
-                locationLabel.style.display = 'block';
-              }
-            }
-          });
+    t.has = (key) => Object.prototype.hasOwnProperty.call(messages, key);
 
-          filterAndDisplayStores();
-        },
-        () => {
-          // Show all stores clustered
-          showAllStores();
-        }
-      );
-    } else {
-      showAllStores();
-    }
+    return t;
   }
 
+  // Analytics events are dispatched on the container as `filmland:<name>` CustomEvents
+  const EVENT_PREFIX = 'filmland:';
+
   /**
-   * Show all stores on map (no location filter)
+   * Analytics adapters, selected by name in config.analytics. Each is called
+   * with (name, detail) for every event the locator reports.
    */
-  async function showAllStores() {
-    filteredStores = [...stores];
-
-    // Apply type filter
-    if (currentFilters.type !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.type && store.type.toLowerCase() === currentFilters.type.toLowerCase()
-      );
-    }
-
-    // Apply product filter
-    if (currentFilters.product !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.products && store.products.includes(currentFilters.product)
-      );
+  const ANALYTICS_ADAPTERS = {
+    // Google Tag Manager: { event: 'filmland_store_select', filmland: detail }.
+    // Does nothing on pages without GTM.
+    dataLayer(name, detail) {
+      if (!Array.isArray(window.dataLayer)) return;
+      window.dataLayer.push({ event: `filmland_${name.replace(/-/g, '_')}`, filmland: detail });
     }
+  };
 
-    updateStoreList();
-    await updateMarkers();
-
-    // Update placeholder
-    const resultsInfo = document.getElementById('results-info');
-    if (resultsInfo) {
-      resultsInfo.textContent = 'Enter your zip or city to find nearby stores';
-    }
-  }
+  // Store list sort orders: [value, message key]
+  const SORT_OPTIONS = [
+    ['distance', 'sort.distance'],
+    ['name', 'sort.name'],
+    ['city', 'sort.city'],
+    ['products', 'sort.products']
+  ];
+
+  // Optional grouping by store type, applied before the sort order
+  const TYPE_ORDER_OPTIONS = [
+    ['', 'sort.typesTogether'],
+    ['off-premise', 'sort.retailFirst'],
+    ['on-premise', 'sort.barsFirst']
+  ];
+
+  const compareByName = (a, b) => (a.name || '').localeCompare(b.name || '');
+  const compareByCity = (a, b) => (a.city || '').localeCompare(b.city || '') || compareByName(a, b);
+
+  // Without a searched location there are no distances, so "Distance" lists by city
+  const compareByDistance = (a, b) =>
+    (a.distance !== undefined && b.distance !== undefined ? a.distance - b.distance : 0) || compareByCity(a, b);
+
+  const STORE_COMPARATORS = {
+    distance: compareByDistance,
+    name: compareByName,
+    city: compareByCity,
+    products: (a, b) => (b.products?.length || 0) - (a.products?.length || 0) || compareByDistance(a, b)
+  };
 
   /**
-   * Filter and display stores based on current location and radius
+   * Sorted copy of a store list for { by, typeFirst } (see SORT_OPTIONS / TYPE_ORDER_OPTIONS)
    */
-  async function filterAndDisplayStores() {
-    if (!currentLocation) {
-      await showAllStores();
-      return;
-    }
-
-    // Filter by distance
-    const storesWithDistance = stores.map(store => ({
-      ...store,
-      distance: calculateDistance(currentLocation, { lat: store.lat, lng: store.lng })
-    }));
-
-    filteredStores = storesWithDistance
-      .filter(store => store.distance <= currentRadius)
-      .sort((a, b) => a.distance - b.distance);
-
-    // Apply type filter
-    if (currentFilters.type !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.type && store.type.toLowerCase() === currentFilters.type.toLowerCase()
-      );
-    }
-
-    // Apply product filter
-    if (currentFilters.product !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.products && store.products.includes(currentFilters.product)
-      );
-    }
-
-    updateStoreList();
-
-    // Update results info
-    const resultsInfo = document.getElementById('results-info');
-    if (resultsInfo) {
-      if (filteredStores.length === 0) {
-        resultsInfo.innerHTML = `<div class="no-results">No stores found within ${currentRadius} miles. Try expanding your search.</div>`;
-      } else {
-        resultsInfo.textContent = `${filteredStores.length} store${filteredStores.length !== 1 ? 's' : ''} within ${currentRadius} miles`;
-      }
-    }
-
-    await updateMarkers();
+  function sortStoreList(list, sort) {
+    const compare = STORE_COMPARATORS[sort.by] || compareByDistance;
+    const typeRank = (store) => (store.type || '').toLowerCase() === sort.typeFirst ? 0 : 1;
+    return [...list].sort((a, b) => (sort.typeFirst ? typeRank(a) - typeRank(b) : 0) || compare(a, b));
   }
 
   /**
-   * Filter and display stores by state (for state-level searches)
+   * Wait for Google Maps to load. MarkerClusterer is optional, so it only
+   * gets a short grace period once Maps is ready.
    */
-  async function filterByState(stateCode) {
-    // Filter by state
-    filteredStores = stores.filter(store =>
-      store.state && store.state.toUpperCase() === stateCode.toUpperCase()
-    );
-
-    // Apply type filter
-    if (currentFilters.type !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.type && store.type.toLowerCase() === currentFilters.type.toLowerCase()
-      );
-    }
-
-    // Apply product filter
-    if (currentFilters.product !== 'all') {
-      filteredStores = filteredStores.filter(store =>
-        store.products && store.products.includes(currentFilters.product)
-      );
+  async function waitForDependencies(maxWait = 10000, clustererWait = 2000) {
+    const start = Date.now();
+    while (!window.google?.maps && Date.now() - start < maxWait) {
+      await new Promise(r => setTimeout(r, 100));
     }
+    if (!window.google?.maps) throw new Error('Google Maps failed to load');
 
-    // Sort alphabetically by city then name
-    filteredStores.sort((a, b) => {
-      const cityCompare = (a.city || '').localeCompare(b.city || '');
-      if (cityCompare !== 0) return cityCompare;
-      return (a.name || '').localeCompare(b.name || '');
-    });
-
-    updateStoreList();
-
-    // Update results info
-    const resultsInfo = document.getElementById('results-info');
-    if (resultsInfo) {
-      if (filteredStores.length === 0) {
-        resultsInfo.innerHTML = `<div class="no-results">No stores found in ${stateCode}.</div>`;
-      } else {
-        resultsInfo.textContent = `${filteredStores.length} store${filteredStores.length !== 1 ? 's' : ''} in ${stateCode}`;
-      }
+    const mapsReady = Date.now();
+    while (!window.markerClusterer && Date.now() - mapsReady < clustererWait) {
+      await new Promise(r => setTimeout(r, 100));
     }
-
-    await updateMarkers();
+    if (!window.markerClusterer) console.warn('MarkerClusterer failed to load; markers will not be clustered');
   }
 
+  // Earth's radius, and the length of one degree of latitude, per distance unit
+  const EARTH_RADIUS = { mi: 3959, km: 6371 };
+  const DISTANCE_PER_DEGREE_LAT = { mi: 69.0, km: 111.0 };
+
   /**
    * Calculate distance between two points using Haversine formula
-   * Returns distance in miles
+   * Returns distance in `unit` ('mi' or 'km')
    */
-  function calculateDistance(point1, point2) {
-    const R = 3959; // Earth's radius in miles
+  function calculateDistance(point1, point2, unit = 'mi') {
+    const R = EARTH_RADIUS[unit];
     const dLat = toRad(point2.lat - point1.lat);
     const dLng = toRad(point2.lng - point1.lng);
     const lat1 = toRad(point1.lat);
@@ -484,596 +435,3712 @@
   }
 
   /**
-   * Update map markers
+   * Grid index over store coordinates. Stores are bucketed into cells of
+   * `cellSize` degrees, so radius, nearest and bounds queries only look at
+   * nearby cells and compute distances for those candidates.
+   * Radius and nearest results are copies of the stores with a `distance` in `unit`, closest first.
    */
-  async function updateMarkers() {
-    // Clear existing markers
-    if (markerClusterer) {
-      markerClusterer.clearMarkers();
-    }
-    markers.forEach(marker => marker.map = null);
-    markers = [];
-
-    // Create markers for filtered stores
-    const { AdvancedMarkerElement, PinElement } = await google.maps.importLibrary('marker');
-
-    const storesToShow = (filteredStores.length > 0 || currentLocation) ? filteredStores : stores;
-
-    for (const store of storesToShow) {
-      let markerContent;
-      const storeType = (store.type || '').toLowerCase();
-
-      if (storeType === 'off-premise') {
-        // Retail pin — storefront/building icon
-        markerContent = document.createElement('div');
-        markerContent.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="36" height="48" viewBox="0 0 36 48">
-          <defs>
-            <filter id="rs" x="-10%" y="-5%" width="120%" height="120%">
-              <feDropShadow dx="0" dy="1" stdDeviation="1.5" flood-opacity="0.3"/>
-            </filter>
-          </defs>
-          <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="${CONFIG.brandColor}" filter="url(#rs)"/>
-          <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="none" stroke="#fff" stroke-width="1.5"/>
-          <circle cx="18" cy="18" r="12" fill="#fff" opacity="0.15"/>
-          <rect x="10" y="13" width="16" height="12" rx="1" fill="none" stroke="#1a1a1a" stroke-width="1.6"/>
-          <path d="M9 13 L18 9 L27 13" fill="none" stroke="#1a1a1a" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/>
-          <rect x="15" y="19" width="6" height="6" rx="0.5" fill="#1a1a1a"/>
-          <rect x="12" y="15" width="4" height="3" rx="0.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>
-          <rect x="20" y="15" width="4" height="3" rx="0.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>
-        </svg>`;
-      } else if (storeType === 'on-premise') {
-        // Bars & Restaurants pin — old-fashioned whiskey glass icon
-        markerContent = document.createElement('div');
-        markerContent.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="36" height="48" viewBox="0 0 36 48">
-          <defs>
-            <filter id="bs" x="-10%" y="-5%" width="120%" height="120%">
-              <feDropShadow dx="0" dy="1" stdDeviation="1.5" flood-opacity="0.3"/>
-            </filter>
-          </defs>
-          <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="${CONFIG.brandColor}" filter="url(#bs)"/>
-          <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="none" stroke="#fff" stroke-width="1.5"/>
-          <circle cx="18" cy="18" r="12" fill="#fff" opacity="0.15"/>
-          <path d="M11.5 9 L13 20 C13 20 13.5 22 18 22 C22.5 22 23 20 23 20 L24.5 9 Z" fill="none" stroke="#1a1a1a" stroke-width="1.6" stroke-linejoin="round"/>
-          <path d="M13.4 14 L12.6 18.5 C12.8 19.8 14.5 20.5 18 20.5 C21.5 20.5 23.2 19.8 23.4 18.5 L22.6 14 Z" fill="#1a1a1a" opacity="0.25"/>
-          <line x1="18" y1="22" x2="18" y2="25" stroke="#1a1a1a" stroke-width="1.6"/>
-          <line x1="14" y1="25" x2="22" y2="25" stroke="#1a1a1a" stroke-width="1.8" stroke-linecap="round"/>
-          <circle cx="21" cy="11" r="1.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>
-        </svg>`;
-      } else {
-        // Default pin for stores with no type
-        const pinElement = new PinElement({
-          background: CONFIG.brandColor,
-          borderColor: '#ffffff',
-          glyphColor: '#1a1a1a',
-          scale: 1.0
-        });
-        markerContent = pinElement.element;
-      }
-
-      const marker = new AdvancedMarkerElement({
-        map: map,
-        position: { lat: store.lat, lng: store.lng },
-        content: markerContent,
-        title: store.name
-      });
-
-      // Add click listener
-      marker.addListener('click', () => {
-        showInfoWindow(marker, store);
-        highlightStoreInList(store);
-        if (!isMobile) {
-          scrollToStore(store);
-        }
-      });
+  function createSpatialIndex(items, unit = 'mi', cellSize = 0.5) {
+    const perDegreeLat = DISTANCE_PER_DEGREE_LAT[unit];
+    const cells = new Map();
+    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+
+    const rowOf = (lat) => Math.floor(lat / cellSize);
+    const colOf = (lng) => Math.floor(lng / cellSize);
+    const cellKey = (row, col) => `${row}:${col}`;
+
+    items.forEach(item => {
+      if (!Number.isFinite(item.lat) || !Number.isFinite(item.lng)) return;
+      const row = rowOf(item.lat);
+      const col = colOf(item.lng);
+      const key = cellKey(row, col);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(item);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+    });
 
-      markers.push(marker);
+    function withDistances(candidates, point) {
+      return candidates.map(item => ({ ...item, distance: calculateDistance(point, item, unit) }));
     }
 
-    // Fit map to show all markers plus user location
-    if (storesToShow.length > 0) {
-      const bounds = new google.maps.LatLngBounds();
-      if (currentLocation) {
-        bounds.extend(currentLocation);
-      }
-      storesToShow.forEach(store => {
-        bounds.extend({ lat: store.lat, lng: store.lng });
-      });
-      map.fitBounds(bounds);
-
-      // Limit zoom level
-      google.maps.event.addListenerOnce(map, 'bounds_changed', () => {
-        if (map.getZoom() > 15) {
-          map.setZoom(15);
+    function collect(rowFrom, rowTo, colFrom, colTo, into = []) {
+      for (let row = Math.max(rowFrom, minRow); row <= Math.min(rowTo, maxRow); row++) {
+        for (let col = Math.max(colFrom, minCol); col <= Math.min(colTo, maxCol); col++) {
+          const cell = cells.get(cellKey(row, col));
+          if (cell) into.push(...cell);
         }
-      });
-    } else if (currentLocation) {
-      // No stores found — keep centered on user location
-      map.setCenter(currentLocation);
-      map.setZoom(11);
-    }
-
-    // Setup marker clustering AFTER fitBounds
-    if (window.markerClusterer && window.markerClusterer.MarkerClusterer) {
-      if (markerClusterer) {
-        markerClusterer.clearMarkers();
       }
-      markerClusterer = new markerClusterer.MarkerClusterer({
-        map,
-        markers
-      });
+      return into;
     }
-  }
-
-  /**
-   * Show info window for a store
-   */
-  function showInfoWindow(marker, store) {
-    const directionsUrl = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(store.address + ', ' + store.city + ', ' + store.state + ' ' + store.zip)}`;
-
-    let content = `
-      <div class="info-window">
-        <h3>${escapeHtml(store.name)}</h3>
-        <p class="info-address">
-          ${escapeHtml(store.address)}<br>
-          ${escapeHtml(store.city)}, ${escapeHtml(store.state)} ${escapeHtml(store.zip)}
-        </p>
-    `;
 
-    if (store.phone) {
-      content += `<p class="info-phone"><a href="tel:${escapeHtml(store.phone)}">${escapeHtml(store.phone)}</a></p>`;
+    // Degrees of longitude spanned by `distance` at a latitude (wider toward the poles)
+    function lngDegrees(distance, lat) {
+      const cos = Math.cos(toRad(Math.min(89, Math.abs(lat))));
+      return distance / (perDegreeLat * cos);
     }
 
-    if (store.website) {
-      content += `<p class="info-website"><a href="${escapeHtml(store.website)}" target="_blank" rel="noopener noreferrer">Visit Website</a></p>`;
+    /**
+     * Items within `radius` of a point
+     */
+    function withinRadius(point, radius) {
+      const latSpan = radius / perDegreeLat;
+      const lngSpan = lngDegrees(radius, Math.abs(point.lat) + latSpan);
+      const candidates = collect(
+        rowOf(point.lat - latSpan), rowOf(point.lat + latSpan),
+        colOf(point.lng - lngSpan), colOf(point.lng + lngSpan)
+      );
+      return withDistances(candidates, point)
+        .filter(item => item.distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
     }
 
-    content += `
-        <p class="info-directions">
-          <a href="${directionsUrl}" target="_blank" rel="noopener noreferrer">Get Directions</a>
-        </p>
-      </div>
-    `;
-
-    infoWindow.setContent(content);
-    infoWindow.open({ anchor: marker, map });
-
-    // Intercept directions link in info window
-    google.maps.event.addListenerOnce(infoWindow, 'domready', () => {
-      const iwContent = document.querySelector('.info-window');
-      const link = iwContent?.querySelector('.info-directions a');
-      if (link) {
-        link.addEventListener('click', (e) => {
-          e.preventDefault();
-          showCallAheadModal(directionsUrl, store.phone, store.name, store.city, store.state, store.website);
-        });
-      }
-    });
-  }
+    /**
+     * The k items closest to a point, optionally only those passing `predicate`.
+     * Searches outward ring by ring and stops once no unvisited cell can be closer.
+     */
+    function nearest(point, k, predicate = () => true) {
+      if (cells.size === 0 || k <= 0) return [];
+
+      const centerRow = rowOf(point.lat);
+      const centerCol = colOf(point.lng);
+      const maxRing = Math.max(
+        Math.abs(centerRow - minRow), Math.abs(centerRow - maxRow),
+        Math.abs(centerCol - minCol), Math.abs(centerCol - maxCol)
+      );
 
-  /**
-   * Update store list
-   */
-  function updateStoreList() {
-    const storeList = document.getElementById('store-list');
-    if (!storeList) return;
+      let found = [];
+      for (let ring = 0; ring <= maxRing; ring++) {
+        const ringItems = [];
+        if (ring === 0) {
+          collect(centerRow, centerRow, centerCol, centerCol, ringItems);
+        } else {
+          // Top and bottom rows of the ring, then the left and right columns between them
+          collect(centerRow - ring, centerRow - ring, centerCol - ring, centerCol + ring, ringItems);
+          collect(centerRow + ring, centerRow + ring, centerCol - ring, centerCol + ring, ringItems);
+          collect(centerRow - ring + 1, centerRow + ring - 1, centerCol - ring, centerCol - ring, ringItems);
+          collect(centerRow - ring + 1, centerRow + ring - 1, centerCol + ring, centerCol + ring, ringItems);
+        }
 
-    storeList.innerHTML = '';
+        found = found.concat(withDistances(ringItems.filter(predicate), point))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, k);
 
-    const storesToShow = (filteredStores.length > 0 || currentLocation) ? filteredStores : stores;
+        // Anything outside this ring is at least `ring` whole cells away
+        const latLimit = ring * cellSize * perDegreeLat;
+        const lngLimit = latLimit * Math.cos(toRad(Math.min(89, Math.abs(point.lat) + (ring + 1) * cellSize)));
+        if (found.length === k && found[k - 1].distance <= Math.min(latLimit, lngLimit)) break;
+      }
+      return found;
+    }
 
-    if (storesToShow.length === 0) {
-      storeList.innerHTML = '<div class="no-results">No stores found within the selected radius.</div>';
-      return;
+    /**
+     * Items inside a { north, south, east, west } box (no distances)
+     */
+    function inBounds(bounds) {
+      const crossesAntimeridian = bounds.west > bounds.east;
+      const candidates = crossesAntimeridian
+        ? collect(rowOf(bounds.south), rowOf(bounds.north), colOf(bounds.west), colOf(180),
+          collect(rowOf(bounds.south), rowOf(bounds.north), colOf(-180), colOf(bounds.east)))
+        : collect(rowOf(bounds.south), rowOf(bounds.north), colOf(bounds.west), colOf(bounds.east));
+
+      return candidates.filter(item =>
+        item.lat >= bounds.south && item.lat <= bounds.north &&
+        (crossesAntimeridian
+          ? item.lng >= bounds.west || item.lng <= bounds.east
+          : item.lng >= bounds.west && item.lng <= bounds.east)
+      );
     }
 
-    storesToShow.forEach((store, index) => {
-      const card = createStoreCard(store, index);
-      storeList.appendChild(card);
-    });
+    return { withinRadius, nearest, inBounds };
   }
 
-  /**
-   * Create store card element
-   */
-  function createStoreCard(store, index) {
-    const card = document.createElement('div');
-    card.className = 'store-card';
-    card.dataset.storeIndex = index;
-
-    let html = `
-      <h3 class="store-name">${escapeHtml(store.name)}</h3>
-      <p class="store-address">
-        ${escapeHtml(store.address)}<br>
-        ${escapeHtml(store.city)}, ${escapeHtml(store.state)} ${escapeHtml(store.zip)}
-      </p>
-    `;
+  // Keys of stores.json's weekly hours, in Date#getDay() order
+  const WEEK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
-    if (store.type) {
-      html += `<span class="store-type-badge">${escapeHtml(getTypeDisplayLabel(store.type))}</span>`;
-    }
-
-    if (store.phone) {
-      html += `<p class="store-phone"><a href="tel:${escapeHtml(store.phone)}">${escapeHtml(store.phone)}</a></p>`;
-    }
-
-    if (store.website) {
-      html += `<p class="store-website"><a href="${escapeHtml(store.website)}" target="_blank" rel="noopener noreferrer">Visit Website</a></p>`;
-    }
+  // Store time zone when stores.json doesn't give one
+  const DEFAULT_TIME_ZONE = 'America/New_York';
 
-    if (store.products && store.products.length > 0) {
-      html += `<p class="store-products"><strong>Products:</strong> ${store.products.map(p => escapeHtml(p)).join(', ')}</p>`;
-    }
+  const zonedClockFormats = new Map();
 
-    if (store.distance !== undefined) {
-      html += `<p class="store-distance">${store.distance.toFixed(1)} miles away</p>`;
+  /**
+   * Day of the week (0 = Sunday) and minutes past midnight at `date` in a time zone
+   */
+  function getZonedClock(date, timeZone) {
+    let format = zonedClockFormats.get(timeZone);
+    if (!format) {
+      format = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+      zonedClockFormats.set(timeZone, format);
     }
+    const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      day: WEEK_DAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+      minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+  }
 
-    const directionsUrl = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(store.address + ', ' + store.city + ', ' + store.state + ' ' + store.zip)}`;
-    html += `<a href="${directionsUrl}" target="_blank" rel="noopener noreferrer" class="store-directions">Get Directions</a>`;
+  // "21:30" → 1290
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
 
-    card.innerHTML = html;
+  /**
+   * Whether a store is open at `date`, read from its weekly hours in its own time zone.
+   * Returns null for stores without hours, else { open, today } with today's
+   * [open, close] ranges. A range that closes at or before it opens runs past
+   * midnight, so Friday's "17:00"-"02:00" still counts early on Saturday.
+   */
+  function getOpenStatus(store, date = new Date()) {
+    const weekly = store.hours?.weekly;
+    if (!weekly) return null;
 
-    // Intercept directions link click to show call-ahead modal
-    const directionsLink = card.querySelector('.store-directions');
-    if (directionsLink) {
-      directionsLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        showCallAheadModal(directionsUrl, store.phone, store.name, store.city, store.state, store.website);
-      });
+    let clock;
+    try {
+      clock = getZonedClock(date, store.hours.timezone || DEFAULT_TIME_ZONE);
+    } catch (e) {
+      // Unknown time zone name
+      return null;
     }
 
-    // Add click listener
-    card.addEventListener('click', () => {
-      const marker = markers[index];
-      if (marker) {
-        map.panTo({ lat: store.lat, lng: store.lng });
-        map.setZoom(15);
-        showInfoWindow(marker, store);
-        highlightStoreInList(store);
+    const today = weekly[WEEK_DAYS[clock.day]] || [];
+    const yesterday = weekly[WEEK_DAYS[(clock.day + 6) % 7]] || [];
+    const isOvernight = ([open, close]) => toMinutes(close) <= toMinutes(open);
 
-        // Switch to map view on mobile
-        if (isMobile) {
-          setMobileView('map');
-        }
-      }
-    });
+    const open = today.some(range => clock.minutes >= toMinutes(range[0]) &&
+        (isOvernight(range) || clock.minutes < toMinutes(range[1]))) ||
+      yesterday.some(range => isOvernight(range) && clock.minutes < toMinutes(range[1]));
 
-    return card;
+    return { open, today };
   }
 
   /**
-   * Highlight a store in the list
+   * Escape HTML to prevent XSS
    */
-  function highlightStoreInList(store) {
-    const cards = document.querySelectorAll('.store-card');
-    cards.forEach(card => card.classList.remove('active'));
-
-    const matchingCard = Array.from(cards).find(card => {
-      const name = card.querySelector('.store-name').textContent;
-      const address = card.querySelector('.store-address').textContent;
-      return name === store.name && address.includes(store.address);
-    });
-
-    if (matchingCard) {
-      matchingCard.classList.add('active');
-    }
+  function escapeHtml(text) {
+    if (text == null) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
 
   /**
-   * Scroll to store in list
+   * Fetch a JSON file once per page; a failed request is retried on the next call
    */
-  function scrollToStore(store) {
-    const cards = document.querySelectorAll('.store-card');
-    const matchingCard = Array.from(cards).find(card => {
-      const name = card.querySelector('.store-name').textContent;
-      return name === store.name;
-    });
+  const loadedJson = new Map();
 
-    if (matchingCard) {
-      matchingCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  function loadJson(url) {
+    if (!loadedJson.has(url)) {
+      loadedJson.set(url, fetch(url).then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+      }).catch(error => {
+        loadedJson.delete(url);
+        throw error;
+      }));
     }
+    return loadedJson.get(url);
   }
 
   /**
-   * Setup distance filters
+   * Resolved searches for this browser session, keyed by normalized query.
+   * Values are { type: 'state', code, name } or { type: 'point', lat, lng, label }.
    */
-  function setupDistanceFilters() {
-    const container = document.getElementById('distance-filters');
-    if (!container) return;
-
-    CONFIG.radiusOptions.forEach(radius => {
-      const button = document.createElement('button');
-      button.className = 'distance-filter-btn';
-      button.textContent = `${radius} mi`;
-      button.dataset.radius = radius;
+  const SEARCH_CACHE_KEY = 'filmland-search-cache';
+  const searchCache = (() => {
+    try {
+      return new Map(Object.entries(JSON.parse(sessionStorage.getItem(SEARCH_CACHE_KEY)) || {}));
+    } catch (e) {
+      return new Map();
+    }
+  })();
+
+  function normalizeQuery(query) {
+    return String(query)
+      .toLowerCase()
+      .replace(/,?\s*(usa|united states)$/, '')
+      .replace(/\./g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*,\s*/g, ', ')
+      .trim();
+  }
 
-      if (radius === CONFIG.defaultRadius) {
-        button.classList.add('active');
-      }
+  function cacheSearchResult(query, result) {
+    searchCache.set(normalizeQuery(query), result);
+    try {
+      sessionStorage.setItem(SEARCH_CACHE_KEY, JSON.stringify(Object.fromEntries(searchCache)));
+    } catch (e) {} // Storage full or disabled; the in-memory cache still works
+  }
 
-      button.addEventListener('click', async () => {
-        currentRadius = radius;
+  /**
+   * Maps apps offered for directions. Apple Maps and Google Maps route to the street
+   * address (the coordinates keep Apple's search near the right town); Waze only
+   * takes a point.
+   */
+  const DIRECTIONS_PROVIDERS = {
+    apple: {
+      label: 'Apple Maps',
+      url: (store) => `https://maps.apple.com/?daddr=${encodeURIComponent(formatStoreAddress(store))}&sll=${store.lat},${store.lng}`
+    },
+    google: {
+      label: 'Google Maps',
+      url: (store) => `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(formatStoreAddress(store))}`
+    },
+    waze: {
+      label: 'Waze',
+      url: (store) => `https://waze.com/ul?ll=${store.lat},${store.lng}&navigate=yes`
+    }
+  };
+  const DIRECTIONS_PROVIDER_KEY = 'filmland-directions-app';
 
-        // Update active state
-        container.querySelectorAll('.distance-filter-btn').forEach(btn => {
-          btn.classList.remove('active');
-        });
-        button.classList.add('active');
+  function formatStoreAddress(store) {
+    return `${store.address}, ${store.city}, ${store.state} ${store.zip}`;
+  }
 
-        // Re-filter and display
-        await filterAndDisplayStores();
-      });
+  /**
+   * The customer's last choice of maps app, else Apple Maps on Apple devices
+   * (iPadOS reports itself as a Mac) and Google Maps everywhere else
+   */
+  function getDirectionsProvider() {
+    try {
+      const saved = localStorage.getItem(DIRECTIONS_PROVIDER_KEY);
+      if (Object.hasOwn(DIRECTIONS_PROVIDERS, saved)) return saved;
+    } catch (e) {} // Storage disabled; fall back to detection
+    return /iPhone|iPad|iPod|Macintosh/.test(navigator.userAgent) ? 'apple' : 'google';
+  }
 
-      container.appendChild(button);
-    });
+  function saveDirectionsProvider(provider) {
+    try {
+      localStorage.setItem(DIRECTIONS_PROVIDER_KEY, provider);
+    } catch (e) {} // Storage full or disabled; the choice just isn't remembered
   }
 
   /**
-   * Setup type filter
+   * Lookup tables built once from gazetteer.json
    */
-  function setupTypeFilter() {
-    const container = document.getElementById('type-filter-container');
-    if (!container) return;
+  let gazetteerIndex = null;
+
+  async function loadGazetteer(config) {
+    const data = await loadJson(config.gazetteerUrl);
+    if (!gazetteerIndex || gazetteerIndex.data !== data) {
+      const stateCodes = new Map();
+      const stateNames = new Map();
+      for (const [code, name] of Object.entries(data.states)) {
+        stateCodes.set(code.toLowerCase(), { code, name });
+        stateNames.set(normalizeQuery(name), { code, name });
+      }
 
-    // Check if any stores have type data
-    const hasTypeData = stores.some(store => store.type && store.type.trim() !== '');
+      // Cities are stored most populous first, so the first match for a name wins
+      const cities = new Map();
+      for (const [name, state, lat, lng] of data.cities) {
+        const key = normalizeQuery(name);
+        if (!cities.has(key)) cities.set(key, []);
+        cities.get(key).push({ name, state, lat, lng });
+      }
 
-    if (!hasTypeData) {
-      container.style.display = 'none';
-      return;
+      gazetteerIndex = { data, stateCodes, stateNames, cities };
     }
-
-    // Get unique types
-    const types = ['all', ...new Set(stores.filter(s => s.type).map(s => s.type))];
-
-    const select = document.getElementById('type-filter');
-    select.innerHTML = '';
-
-    types.forEach(type => {
-      const option = document.createElement('option');
-      option.value = type.toLowerCase();
-      option.textContent = type === 'all' ? 'All Types' : getTypeDisplayLabel(type);
-      select.appendChild(option);
-    });
-
-    select.addEventListener('change', async (e) => {
-      currentFilters.type = e.target.value;
-      await filterAndDisplayStores();
-    });
+    return gazetteerIndex;
   }
 
   /**
-   * Setup product filter
+   * Resolve a zip code, state or known city without calling Google.
+   * Returns null for anything the gazetteer doesn't know.
    */
-  function setupProductFilter() {
-    const container = document.getElementById('product-filter-container');
-    if (!container) return;
-
-    // Check if any stores have product data
-    const hasProductData = stores.some(store => store.products && store.products.length > 0);
-
-    if (!hasProductData) {
-      container.style.display = 'none';
-      return;
+  async function parseQueryLocally(query, config) {
+    const text = normalizeQuery(query);
+    if (!text) return null;
+
+    const zipMatch = text.match(/^(\d{5})(-\d{4})?$/);
+    if (zipMatch) {
+      const zip = zipMatch[1];
+      const shard = await loadJson(`${config.zipCentroidsUrl}${zip[0]}.json`);
+      const entry = shard.zips[zip];
+      if (!entry) return null;
+      const [lat, lng, placeIndex] = entry;
+      return { type: 'point', lat, lng, label: `${shard.places[placeIndex]} ${zip}` };
     }
 
-    // Get unique products
-    const productsSet = new Set();
-    stores.forEach(store => {
-      if (store.products) {
-        store.products.forEach(product => productsSet.add(product));
-      }
-    });
+    const { stateCodes, stateNames, cities } = await loadGazetteer(config);
 
-    const products = ['all', ...Array.from(productsSet).sort()];
+    const findState = (part) => stateCodes.get(part) || stateNames.get(part) || null;
+    const findCity = (name, state) => {
+      const matches = cities.get(name) || [];
+      return (state ? matches.find(c => c.state === state.code) : matches[0]) || null;
+    };
+    const cityResult = (city) => city && { type: 'point', lat: city.lat, lng: city.lng, label: `${city.name}, ${city.state}` };
 
-    const select = document.getElementById('product-filter');
-    select.innerHTML = '';
+    const state = findState(text);
+    if (state) {
+      return { type: 'state', code: state.code, name: state.name };
+    }
 
-    products.forEach(product => {
-      const option = document.createElement('option');
-      option.value = product;
-      option.textContent = product === 'all' ? 'All Products' : product;
-      select.appendChild(option);
-    });
+    // "City, ST" / "City, State"
+    const commaIndex = text.lastIndexOf(',');
+    if (commaIndex > 0) {
+      const commaState = findState(text.slice(commaIndex + 1).trim());
+      return commaState ? cityResult(findCity(text.slice(0, commaIndex).trim(), commaState)) : null;
+    }
 
-    select.addEventListener('change', async (e) => {
-      currentFilters.product = e.target.value;
-      await filterAndDisplayStores();
-    });
+    // "City ST" / "City State" (state names run up to three words)
+    const words = text.split(' ');
+    for (let n = 1; n <= 3 && n < words.length; n++) {
+      const trailingState = findState(words.slice(-n).join(' '));
+      if (trailingState) {
+        const city = findCity(words.slice(0, -n).join(' '), trailingState);
+        if (city) return cityResult(city);
+      }
+    }
+
+    // Bare city name: take the most populous match
+    return cityResult(findCity(text, null));
   }
 
   /**
-   * Setup mobile view toggle
+   * Load a script once per page; concurrent callers share the same promise
    */
-  function setupMobileToggle() {
-    const mapBtn = document.getElementById('mobile-map-btn');
-    const listBtn = document.getElementById('mobile-list-btn');
-
-    if (!mapBtn || !listBtn) return;
-
-    mapBtn.addEventListener('click', () => setMobileView('map'));
-    listBtn.addEventListener('click', () => setMobileView('list'));
-
-    updateMobileView();
+  const loadedAssets = new Map();
+
+  function loadScript(src) {
+    if (!loadedAssets.has(src)) {
+      loadedAssets.set(src, new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+      }));
+    }
+    return loadedAssets.get(src);
   }
 
   /**
-   * Set mobile view (map or list)
+   * Load a stylesheet once per page
    */
-  function setMobileView(view) {
-    mobileView = view;
-    updateMobileView();
+  function loadStylesheet(href) {
+    if (!loadedAssets.has(href)) {
+      loadedAssets.set(href, new Promise((resolve, reject) => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = href;
+        link.onload = resolve;
+        link.onerror = () => reject(new Error(`Failed to load ${href}`));
+        document.head.appendChild(link);
+      }));
+    }
+    return loadedAssets.get(href);
   }
 
   /**
-   * Update mobile view state
+   * SVG map pin for a store type. Retail and bar pins carry an icon;
+   * anything else gets a plain pin.
    */
-  function updateMobileView() {
-    if (!isMobile) return;
-
-    const mapBtn = document.getElementById('mobile-map-btn');
-    const listBtn = document.getElementById('mobile-list-btn');
-    const sidebar = document.querySelector('.store-locator-sidebar');
-    const mapContainer = document.querySelector('.store-locator-map');
-
-    if (mobileView === 'map') {
-      mapBtn?.classList.add('active');
-      listBtn?.classList.remove('active');
-      sidebar?.classList.remove('mobile-active');
-      mapContainer?.classList.add('mobile-active');
-
-      // Trigger map resize and fit to stores
-      if (map) {
-        google.maps.event.trigger(map, 'resize');
-        const storesToShow = (filteredStores.length > 0 || currentLocation) ? filteredStores : stores;
-        if (storesToShow.length > 0) {
-          const bounds = new google.maps.LatLngBounds();
-          if (currentLocation) bounds.extend(currentLocation);
-          storesToShow.forEach(store => bounds.extend({ lat: store.lat, lng: store.lng }));
-          map.fitBounds(bounds);
-        } else if (currentLocation) {
-          map.setCenter(currentLocation);
-          map.setZoom(11);
-        }
-      }
+  function createPinSvg(storeType, brandColor) {
+    const type = (storeType || '').toLowerCase();
+    const filterId = type === 'on-premise' ? 'bs' : type === 'off-premise' ? 'rs' : 'ds';
+
+    let glyph;
+    if (type === 'off-premise') {
+      // Retail pin — storefront/building icon
+      glyph = `<rect x="10" y="13" width="16" height="12" rx="1" fill="none" stroke="#1a1a1a" stroke-width="1.6"/>
+        <path d="M9 13 L18 9 L27 13" fill="none" stroke="#1a1a1a" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/>
+        <rect x="15" y="19" width="6" height="6" rx="0.5" fill="#1a1a1a"/>
+        <rect x="12" y="15" width="4" height="3" rx="0.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>
+        <rect x="20" y="15" width="4" height="3" rx="0.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>`;
+    } else if (type === 'on-premise') {
+      // Bars & Restaurants pin — old-fashioned whiskey glass icon
+      glyph = `<path d="M11.5 9 L13 20 C13 20 13.5 22 18 22 C22.5 22 23 20 23 20 L24.5 9 Z" fill="none" stroke="#1a1a1a" stroke-width="1.6" stroke-linejoin="round"/>
+        <path d="M13.4 14 L12.6 18.5 C12.8 19.8 14.5 20.5 18 20.5 C21.5 20.5 23.2 19.8 23.4 18.5 L22.6 14 Z" fill="#1a1a1a" opacity="0.25"/>
+        <line x1="18" y1="22" x2="18" y2="25" stroke="#1a1a1a" stroke-width="1.6"/>
+        <line x1="14" y1="25" x2="22" y2="25" stroke="#1a1a1a" stroke-width="1.8" stroke-linecap="round"/>
+        <circle cx="21" cy="11" r="1.5" fill="none" stroke="#1a1a1a" stroke-width="1.2"/>`;
     } else {
-      listBtn?.classList.add('active');
-      mapBtn?.classList.remove('active');
-      sidebar?.classList.add('mobile-active');
-      mapContainer?.classList.remove('mobile-active');
+      glyph = '<circle cx="18" cy="18" r="5" fill="#1a1a1a"/>';
     }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="36" height="48" viewBox="0 0 36 48">
+        <defs>
+          <filter id="${filterId}" x="-10%" y="-5%" width="120%" height="120%">
+            <feDropShadow dx="0" dy="1" stdDeviation="1.5" flood-opacity="0.3"/>
+          </filter>
+        </defs>
+        <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="${brandColor}" filter="url(#${filterId})"/>
+        <path d="M18 0C8.06 0 0 8.06 0 18c0 13.5 18 30 18 30s18-16.5 18-30C36 8.06 27.94 0 18 0z" fill="none" stroke="#fff" stroke-width="1.5"/>
+        <circle cx="18" cy="18" r="12" fill="#fff" opacity="0.15"/>
+        ${glyph}
+      </svg>`;
   }
 
+  // Google calls this global when it rejects the API key (bad key, quota, referrer)
+  const googleAuthFailureHandlers = new Set();
+  const previousAuthFailure = window.gm_authFailure;
+  window.gm_authFailure = function() {
+    if (typeof previousAuthFailure === 'function') previousAuthFailure();
+    googleAuthFailureHandlers.forEach(handler => handler());
+  };
+
   /**
-   * Setup window resize handler
+   * Map adapters. Each provider implements the same interface so the locator
+   * never talks to Google Maps or Leaflet directly:
+   *
+   *   init(element)                       create the map in element
+   *   setMarkers(stores, onClick, getKey) show markers for exactly these stores, returns
+   *                                       marker handles in the same order. Markers are
+   *                                       created once per getKey(store) and reused.
+   *   fitBounds(points, maxZoom)          show every point
+   *   setView(point, zoom)                center on a point
+   *   showInfoWindow(marker, point, el)   open a popup (marker may be null)
+   *   closeInfoWindow()
+   *   getMarkerElement(marker)            the marker's focusable DOM element, if rendered
+   *   getBounds()                         visible area as { north, south, east, west }, or null
+   *   getCenter()                         map center as { lat, lng }, or null
+   *   onMoveEnd(callback)                 call back whenever a pan or zoom settles
+   *   resize()                            re-measure after the container changes size
+   *   destroy()
    */
-  function setupWindowResize() {
-    let resizeTimeout;
-    window.addEventListener('resize', () => {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => {
-        const wasMobile = isMobile;
-        isMobile = window.innerWidth <= 768;
-
-        if (wasMobile !== isMobile) {
-          updateMobileView();
-        }
-      }, 250);
-    });
+  const MAP_PROVIDERS = {
+    google: createGoogleMapAdapter,
+    leaflet: createLeafletMapAdapter
+  };
+
+  /**
+   * Stand-in when no map provider loads, so the store list still works
+   */
+  function createNullMapAdapter() {
+    return {
+      name: 'none',
+      async init() {},
+      setMarkers() { return []; },
+      fitBounds() {},
+      setView() {},
+      showInfoWindow() {},
+      closeInfoWindow() {},
+      getMarkerElement() { return null; },
+      getBounds() { return null; },
+      getCenter() { return null; },
+      onMoveEnd() {},
+      resize() {},
+      destroy() {}
+    };
+  }
+
+  /**
+   * Google Maps adapter (AdvancedMarkerElement + MarkerClusterer)
+   */
+  function createGoogleMapAdapter(config) {
+    let map;
+    let infoWindow;
+    let markerLib;
+    let markerClusterer;
+    const markerCache = new Map(); // store key → { marker, store }
+    let visibleMarkers = new Set();
+    let handleClick = () => {};
+
+    return {
+      name: 'google',
+
+      async init(element) {
+        await waitForDependencies();
+
+        const { Map } = await google.maps.importLibrary('maps');
+        markerLib = await google.maps.importLibrary('marker');
+
+        map = new Map(element, {
+          center: config.defaultCenter,
+          zoom: config.defaultZoom,
+          mapId: config.mapId,
+          mapTypeControl: false,
+          streetViewControl: false,
+          fullscreenControl: true
+        });
+
+        infoWindow = new google.maps.InfoWindow();
+
+        // Clustering is optional; without the library markers are shown individually
+        if (window.markerClusterer?.MarkerClusterer) {
+          markerClusterer = new window.markerClusterer.MarkerClusterer({ map, markers: [] });
+        }
+      },
+
+      setMarkers(stores, onClick, getKey) {
+        handleClick = onClick;
+        const { AdvancedMarkerElement, PinElement } = markerLib;
+
+        const nextMarkers = stores.map(store => {
+          const key = getKey(store);
+          const cached = markerCache.get(key);
+          if (cached) {
+            cached.store = store;
+            return cached.marker;
+          }
+
+          let markerContent;
+          const storeType = (store.type || '').toLowerCase();
+
+          if (storeType === 'off-premise' || storeType === 'on-premise') {
+            markerContent = document.createElement('div');
+            markerContent.innerHTML = createPinSvg(storeType, config.brandColor);
+          } else {
+            // Default pin for stores with no type
+            const pinElement = new PinElement({
+              background: config.brandColor,
+              borderColor: '#ffffff',
+              glyphColor: '#1a1a1a',
+              scale: 1.0
+            });
+            markerContent = pinElement.element;
+          }
+
+          // A click listener makes the marker focusable; the title is its accessible name
+          const marker = new AdvancedMarkerElement({
+            position: { lat: store.lat, lng: store.lng },
+            content: markerContent,
+            title: `${store.name}, ${store.city}`
+          });
+          const entry = { marker, store };
+          marker.addListener('click', () => handleClick(entry.store, marker));
+          markerCache.set(key, entry);
+          return marker;
+        });
+
+        // Only touch markers that appear or disappear, then redraw clusters once
+        const nextVisible = new Set(nextMarkers);
+        const hidden = [...visibleMarkers].filter(marker => !nextVisible.has(marker));
+        const shown = nextMarkers.filter(marker => !visibleMarkers.has(marker));
+        if (markerClusterer) {
+          markerClusterer.removeMarkers(hidden, true);
+          markerClusterer.addMarkers(shown, true);
+          markerClusterer.render();
+        } else {
+          hidden.forEach(marker => marker.map = null);
+          shown.forEach(marker => marker.map = map);
+        }
+        visibleMarkers = nextVisible;
+
+        return nextMarkers;
+      },
+
+      fitBounds(points, maxZoom) {
+        const bounds = new google.maps.LatLngBounds();
+        points.forEach(point => bounds.extend(point));
+        map.fitBounds(bounds);
+
+        // Limit zoom level
+        google.maps.event.addListenerOnce(map, 'bounds_changed', () => {
+          if (map.getZoom() > maxZoom) {
+            map.setZoom(maxZoom);
+          }
+        });
+      },
+
+      setView(point, zoom) {
+        map.panTo(point);
+        map.setZoom(zoom);
+      },
+
+      showInfoWindow(marker, point, content) {
+        infoWindow.setContent(content);
+        if (marker) {
+          infoWindow.open({ anchor: marker, map });
+        } else {
+          // No marker to anchor to (store isn't in the current results)
+          infoWindow.setPosition(point);
+          infoWindow.open({ map });
+        }
+      },
+
+      closeInfoWindow() {
+        infoWindow?.close();
+      },
+
+      getMarkerElement(marker) {
+        // AdvancedMarkerElement is itself an element; older releases expose it as .element
+        const element = marker instanceof HTMLElement ? marker : marker?.element;
+        return element?.isConnected ? element : null;
+      },
+
+      getBounds() {
+        const bounds = map?.getBounds();
+        if (!bounds) return null;
+        const northEast = bounds.getNorthEast();
+        const southWest = bounds.getSouthWest();
+        return { north: northEast.lat(), east: northEast.lng(), south: southWest.lat(), west: southWest.lng() };
+      },
+
+      getCenter() {
+        const center = map?.getCenter();
+        return center ? { lat: center.lat(), lng: center.lng() } : null;
+      },
+
+      onMoveEnd(callback) {
+        map.addListener('idle', callback);
+      },
+
+      resize() {
+        google.maps.event.trigger(map, 'resize');
+      },
+
+      destroy() {
+        if (markerClusterer) {
+          markerClusterer.clearMarkers();
+          markerClusterer.setMap?.(null);
+        }
+        markerCache.forEach(({ marker }) => marker.map = null);
+        markerCache.clear();
+        visibleMarkers = new Set();
+        infoWindow?.close();
+        map = null;
+      }
+    };
+  }
+
+  /**
+   * Leaflet adapter with raster tiles (OpenStreetMap by default).
+   * Used when Google Maps can't load or when config.mapProvider is 'leaflet'.
+   */
+  function createLeafletMapAdapter(config) {
+    let map;
+    let markerLayer;
+    const markerCache = new Map(); // store key → { marker, store }
+    let visibleMarkers = new Set();
+    let handleClick = () => {};
+
+    return {
+      name: 'leaflet',
+
+      async init(element) {
+        await Promise.all([loadStylesheet(config.leafletCssUrl), loadScript(config.leafletUrl)]);
+
+        // Clustering is optional; fall back to a plain layer if the plugin won't load
+        try {
+          await Promise.all(config.leafletClusterCssUrls.map(loadStylesheet));
+          await loadScript(config.leafletClusterUrl);
+        } catch (error) {
+          console.warn('Leaflet marker clustering unavailable:', error);
+        }
+
+        map = L.map(element, {
+          center: [config.defaultCenter.lat, config.defaultCenter.lng],
+          zoom: config.defaultZoom
+        });
+        L.tileLayer(config.tileUrl, {
+          attribution: config.tileAttribution,
+          maxZoom: 19
+        }).addTo(map);
+
+        markerLayer = typeof L.markerClusterGroup === 'function' ? L.markerClusterGroup() : L.layerGroup();
+        markerLayer.addTo(map);
+      },
+
+      setMarkers(stores, onClick, getKey) {
+        handleClick = onClick;
+
+        const nextMarkers = stores.map(store => {
+          const key = getKey(store);
+          const cached = markerCache.get(key);
+          if (cached) {
+            cached.store = store;
+            return cached.marker;
+          }
+
+          const marker = L.marker([store.lat, store.lng], {
+            title: store.name,
+            alt: `${store.name}, ${store.city}`,
+            keyboard: true,
+            icon: L.divIcon({
+              className: 'leaflet-store-pin',
+              html: createPinSvg(store.type, config.brandColor),
+              iconSize: [36, 48],
+              iconAnchor: [18, 48],
+              popupAnchor: [0, -44]
+            })
+          });
+          const entry = { marker, store };
+          marker.on('click', () => handleClick(entry.store, marker));
+          markerCache.set(key, entry);
+          return marker;
+        });
+
+        // markercluster takes batches (one re-cluster); a plain layerGroup takes them one by one
+        const nextVisible = new Set(nextMarkers);
+        const hidden = [...visibleMarkers].filter(marker => !nextVisible.has(marker));
+        const shown = nextMarkers.filter(marker => !visibleMarkers.has(marker));
+        if (markerLayer.removeLayers) {
+          markerLayer.removeLayers(hidden);
+          markerLayer.addLayers(shown);
+        } else {
+          hidden.forEach(marker => markerLayer.removeLayer(marker));
+          shown.forEach(marker => markerLayer.addLayer(marker));
+        }
+        visibleMarkers = nextVisible;
+
+        return nextMarkers;
+      },
+
+      fitBounds(points, maxZoom) {
+        map.fitBounds(points.map(point => [point.lat, point.lng]), { maxZoom, padding: [24, 24] });
+      },
+
+      setView(point, zoom) {
+        map.setView([point.lat, point.lng], zoom);
+      },
+
+      showInfoWindow(marker, point, content) {
+        L.popup({ maxWidth: 250, offset: marker ? [0, -44] : [0, 0] })
+          .setLatLng([point.lat, point.lng])
+          .setContent(content)
+          .openOn(map);
+      },
+
+      closeInfoWindow() {
+        map?.closePopup();
+      },
+
+      getMarkerElement(marker) {
+        return marker?.getElement?.() || null;
+      },
+
+      getBounds() {
+        const bounds = map?.getBounds();
+        if (!bounds) return null;
+        return { north: bounds.getNorth(), east: bounds.getEast(), south: bounds.getSouth(), west: bounds.getWest() };
+      },
+
+      getCenter() {
+        const center = map?.getCenter();
+        return center ? { lat: center.lat, lng: center.lng } : null;
+      },
+
+      onMoveEnd(callback) {
+        map.on('moveend', callback);
+      },
+
+      resize() {
+        map.invalidateSize();
+      },
+
+      destroy() {
+        map?.remove();
+        map = null;
+        markerCache.clear();
+        visibleMarkers = new Set();
+      }
+    };
   }
 
-  /**
-   * Show error message
-   */
-  function showError(message) {
-    const container = document.querySelector('.store-locator-container');
-    if (container) {
-      const errorDiv = document.createElement('div');
-      errorDiv.className = 'error-message';
-      errorDiv.textContent = message;
-      container.insertBefore(errorDiv, container.firstChild);
+  /**
+   * Create a locator instance inside a container element.
+   * All state lives in this closure, so instances never share markers,
+   * results or filters.
+   */
+  function createLocator(root, options = {}) {
+    const { locale, language } = resolveLocale(options.locale, root);
+    const distanceUnit = resolveDistanceUnit(options.units, locale);
+    const t = createTranslator(locale, language, options.messages);
+
+    // Radius options are in the display unit, so km gets its own defaults
+    const CONFIG = {
+      ...DEFAULT_CONFIG,
+      ...(distanceUnit === 'km' ? METRIC_RADIUS_DEFAULTS : {}),
+      ...options
+    };
+    if (!CONFIG.radiusOptions.includes(CONFIG.defaultRadius)) {
+      CONFIG.defaultRadius = CONFIG.radiusOptions[0];
+    }
+    if (!CONFIG.product && root.dataset.product) {
+      CONFIG.product = root.dataset.product;
+    }
+
+    // State
+    let mapAdapter = null;
+    let stores = [];
+    let markers = [];
+    let currentLocation = null;
+    let currentRadius = CONFIG.defaultRadius;
+    let filteredStores = [];
+    let autocompleteElement;
+    let fallbackSearchElement;
+    let currentFilters = {
+      type: 'all',
+      chain: 'all', // or a chain name from stores.json
+      products: [], // empty = any product
+      productMatch: 'any', // 'any' or 'all' of the selected products
+      openNow: false // only stores whose hours say they're open right now
+    };
+    let currentStateFilter = null;
+    let productCatalog = new Map(); // product name → { abbrev, name, category, description, image }
+    let chainCatalog = new Map(); // chain name → { name, website, logo }
+    let focusedProduct = null; // catalog entry for CONFIG.product
+    let currentArea = null; // { north, south, east, west } of a "Search this area" search
+    let currentPlaceName = '';
+    let currentSort = {
+      by: 'distance',
+      typeFirst: '' // '' or a store type to list first
+    };
+    let spatialIndex = createSpatialIndex([], distanceUnit);
+    let storesById = new Map();
+    let markersById = new Map();
+    let renderedCount = 0; // cards currently rendered in #store-list
+    let autoRadius = null; // widened radius in effect when nothing was within currentRadius
+    let showingNearest = false; // nothing within any radius option: showing the closest stores instead
+    let selectedStore = null;
+    let detailStore = null; // store shown in the detail panel
+    let detailListUrl = null; // page query string of the list the panel was opened from
+    let detailPushed = false; // opening the panel added a history entry
+    let listScrollTop = 0;
+    let mapTouched = false; // the customer interacted with the map since we last moved it
+    let restoringUrlState = false;
+    let isMobile = window.innerWidth <= 768;
+    let mobileView = 'list'; // 'list' or 'map'
+    let callAheadOverlay = null;
+    let callAheadStore = null; // store whose directions the modal is showing
+    let callAheadReturnFocus = null; // element to refocus when the modal closes
+    let callAheadHome = null;
+    let destroyed = false;
+    const cleanups = [];
+
+    /**
+     * Look up an element by id within this instance's container
+     */
+    function byId(id) {
+      return root.querySelector(`#${id}`);
+    }
+
+    /**
+     * Add an event listener that is removed again on destroy()
+     */
+    function listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * Put back a placeholder's markup and attributes from the host page on destroy()
+     */
+    function restoreOnDestroy(element) {
+      if (!element) return;
+      const html = element.innerHTML;
+      const attributes = Array.from(element.attributes, ({ name, value }) => [name, value]);
+      cleanups.push(() => {
+        element.innerHTML = html;
+        Array.from(element.attributes).forEach(({ name }) => element.removeAttribute(name));
+        attributes.forEach(([name, value]) => element.setAttribute(name, value));
+      });
+    }
+
+    /**
+     * Report a customer action: dispatch `filmland:<name>` on the container and
+     * forward it to the configured analytics adapters. Every payload carries the
+     * active filters and the number of stores shown. Views restored from the URL
+     * aren't reported.
+     */
+    function track(name, detail = {}) {
+      if (restoringUrlState || destroyed) return;
+
+      const payload = {
+        resultCount: getDisplayedStores().length,
+        ...detail,
+        filters: {
+          radius: currentStateFilter ? null : currentRadius,
+          unit: distanceUnit,
+          type: currentFilters.type,
+          chain: currentFilters.chain,
+          products: [...currentFilters.products],
+          productMatch: currentFilters.productMatch,
+          openNow: currentFilters.openNow
+        }
+      };
+
+      root.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, { bubbles: true, detail: payload }));
+
+      CONFIG.analytics.forEach(adapter => {
+        const send = typeof adapter === 'function' ? adapter : ANALYTICS_ADAPTERS[adapter];
+        try {
+          send?.(name, payload);
+        } catch (error) {
+          console.error(`Analytics adapter failed for ${name}:`, error);
+        }
+      });
+    }
+
+    /**
+     * Store identity for analytics payloads
+     */
+    function describeStore(store) {
+      return {
+        store_id: store.store_id,
+        name: store.name,
+        city: store.city,
+        state: store.state,
+        type: store.type || '',
+        chain: store.chain || ''
+      };
+    }
+
+    /**
+     * Report a finished search, plus a no-results event when nothing matched.
+     * source: 'place', 'state', 'area' or 'geolocation'
+     */
+    function trackSearch(source, query = '') {
+      const detail = {
+        source,
+        query,
+        place: currentPlaceName,
+        state: currentStateFilter,
+        expandedRadius: autoRadius,
+        nearestOnly: showingNearest
+      };
+      track('search', detail);
+      if (filteredStores.length === 0) {
+        track('no-results', { ...detail, reason: 'no-stores' });
+      }
+    }
+
+    /**
+     * Initialize the application
+     */
+    async function init() {
+      // The setup functions fill in, hide and relabel these; destroy() puts them back
+      [
+        'current-location-label', 'distance-filters', 'type-filter-container', 'chain-filter-container',
+        'product-filter-container', 'open-now-container', 'results-info', 'sort-controls', 'store-list',
+        'store-detail', 'call-ahead-overlay'
+      ].forEach(id => restoreOnDestroy(byId(id)));
+      localizeStaticText();
+
+      try {
+        // Load stores data; product and chain details are optional
+        await Promise.all([loadStores(), loadProductCatalog(), loadChainCatalog()]);
+        if (destroyed) return;
+
+        // Initialize the map (Google Maps, or Leaflet if Google is unavailable)
+        mapAdapter = await initMap();
+        if (destroyed) {
+          mapAdapter.destroy();
+          return;
+        }
+        if (CONFIG.mapProvider === 'auto' && mapAdapter.name === 'google') {
+          const onAuthFailure = () => switchMapProvider('leaflet');
+          googleAuthFailureHandlers.add(onAuthFailure);
+          cleanups.push(() => googleAuthFailureHandlers.delete(onAuthFailure));
+        }
+
+        // Setup UI
+        setupDistanceFilters();
+        setupProductFocus();
+        setupTypeFilter();
+        setupChainFilter();
+        setupProductFilter();
+        setupOpenNowFilter();
+        setupSortControl();
+        setupStoreList();
+        setupStoreDetail();
+        setupMarkerKeyboard();
+        setupSearchArea();
+        setupSearch();
+        setupMobileToggle();
+        setupWindowResize();
+        setupCallAheadModal();
+
+        // Warm the offline search data so the first typed search doesn't wait on it
+        loadGazetteer(CONFIG).catch(() => {});
+
+        // A shared link restores its view; otherwise start from the customer's location
+        if (CONFIG.syncUrl && hasUrlState()) {
+          await applyUrlState(readUrlState());
+        } else {
+          setupGeolocation();
+        }
+        if (CONFIG.syncUrl) {
+          listen(window, 'popstate', () => {
+            // Back from the detail panel to the same list: keep the rendered cards and scroll position
+            if (detailStore && window.location.search === detailListUrl) {
+              closeStoreDetail();
+              return;
+            }
+            applyUrlState(readUrlState());
+          });
+        }
+
+      } catch (error) {
+        console.error('Initialization error:', error);
+        showError(t('error.stores'));
+      }
+    }
+
+    /**
+     * Load stores from JSON
+     */
+    async function loadStores() {
+      try {
+        const cacheBust = `?t=${Date.now()}`;
+        const response = await fetch(CONFIG.dataUrl + cacheBust);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        stores = await response.json();
+
+        // Data synced before store IDs existed: key stores by name and position instead
+        stores.forEach(store => {
+          if (!store.store_id) {
+            store.store_id = `${store.name}|${store.lat}|${store.lng}`;
+          }
+        });
+        storesById = new Map(stores.map(store => [store.store_id, store]));
+        spatialIndex = createSpatialIndex(stores, distanceUnit);
+      } catch (error) {
+        console.error('Error loading stores:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Load product details from data/products.json. The locator still works with
+     * bare product names if the catalog is missing.
+     */
+    async function loadProductCatalog() {
+      try {
+        const products = await loadJson(CONFIG.productsUrl);
+        const base = new URL(CONFIG.productsUrl, window.location.href);
+        productCatalog = new Map(products.filter(product => product.active !== false).map(product => [product.name, {
+          abbrev: product.abbrev,
+          name: product.name,
+          category: product.category || '',
+          description: product.description || '',
+          // Image paths are relative to products.json
+          image: product.image ? new URL(product.image, base).href : ''
+        }]));
+      } catch (error) {
+        console.warn('Product details unavailable:', error);
+      }
+    }
+
+    /**
+     * Load chain logos and websites from data/chains.json. Chain names still show
+     * (without logos) if the file is missing.
+     */
+    async function loadChainCatalog() {
+      try {
+        const chains = await loadJson(CONFIG.chainsUrl);
+        const base = new URL(CONFIG.chainsUrl, window.location.href);
+        chainCatalog = new Map(chains.map(chain => [chain.name, {
+          name: chain.name,
+          website: chain.website || '',
+          // Logo paths are relative to chains.json
+          logo: chain.logo ? new URL(chain.logo, base).href : ''
+        }]));
+      } catch (error) {
+        console.warn('Chain details unavailable:', error);
+      }
+    }
+
+    /**
+     * Create the map with the first provider that loads. With 'auto', a
+     * blocked or rejected Google Maps falls back to Leaflet so the page still works.
+     */
+    async function initMap() {
+      const providers = CONFIG.mapProvider === 'auto' ? ['google', 'leaflet'] : [CONFIG.mapProvider];
+      const mapElement = byId('map');
+
+      for (const name of providers) {
+        if (!MAP_PROVIDERS[name]) {
+          console.error(`Unknown map provider "${name}"`);
+          continue;
+        }
+        try {
+          const adapter = MAP_PROVIDERS[name](CONFIG);
+          await adapter.init(mapElement);
+          return adapter;
+        } catch (error) {
+          console.error(`Error initializing ${name} map:`, error);
+          mapElement.innerHTML = '';
+        }
+      }
+
+      // No map at all: keep the store list usable
+      showError(t('error.map'));
+      return createNullMapAdapter();
+    }
+
+    /**
+     * Replace the running map provider, e.g. when Google rejects the API key after loading
+     */
+    async function switchMapProvider(name) {
+      if (destroyed || !mapAdapter || mapAdapter.name === name) return;
+
+      mapAdapter.destroy();
+      const mapElement = byId('map');
+      mapElement.innerHTML = '';
+
+      try {
+        const adapter = MAP_PROVIDERS[name](CONFIG);
+        await adapter.init(mapElement);
+        mapAdapter = adapter;
+        mapAdapter.onMoveEnd(handleMapMoveEnd);
+      } catch (error) {
+        console.error(`Error initializing ${name} map:`, error);
+        mapElement.innerHTML = '';
+        showError(t('error.map'));
+        mapAdapter = createNullMapAdapter();
+      }
+
+      // Places autocomplete stops working along with the map
+      if (autocompleteElement) {
+        autocompleteElement.remove();
+        autocompleteElement = null;
+        setupFallbackSearch();
+      }
+
+      await updateMarkers();
+    }
+
+    /**
+     * Setup search autocomplete
+     */
+    async function setupSearch() {
+      if (mapAdapter.name !== 'google') {
+        setupFallbackSearch();
+        return;
+      }
+
+      try {
+        const { PlaceAutocompleteElement } = await google.maps.importLibrary('places');
+
+        // Create autocomplete element
+        autocompleteElement = new PlaceAutocompleteElement({
+          includedRegionCodes: ['us']
+        });
+
+        // Style the autocomplete element
+        autocompleteElement.placeholder = t('search.placeholder');
+
+        // Add to DOM
+        const searchInput = byId('search-input');
+        searchInput.appendChild(autocompleteElement);
+
+        // Handle Enter key: geocode the typed text as fallback
+        autocompleteElement.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') {
+            // Small delay to let gmp-select fire first if user selected from dropdown
+            setTimeout(async () => {
+              const input = autocompleteElement.shadowRoot?.querySelector('input');
+              const query = input?.value;
+              if (!query) return;
+
+              await geocodeSearch(query);
+            }, 300);
+          }
+        });
+
+        // Listen for place selection
+        autocompleteElement.addEventListener('gmp-select', async (event) => {
+          const placePrediction = event.placePrediction;
+          const place = placePrediction.toPlace();
+
+          await place.fetchFields({ fields: ['location', 'formattedAddress', 'types', 'addressComponents'] });
+          const location = place.location;
+
+          if (location) {
+            // Check if this is a state-level search
+            const isStateSearch = place.types?.includes('administrative_area_level_1');
+
+            // Extract state code if this is a state search
+            let stateCode = null;
+            if (isStateSearch && place.addressComponents) {
+              const stateComponent = place.addressComponents.find(c =>
+                c.types?.includes('administrative_area_level_1')
+              );
+              if (stateComponent) {
+                stateCode = stateComponent.shortText;
+              }
+            }
+
+            if (isStateSearch && stateCode) {
+              // State-level search: show all stores in that state
+              const stateName = place.formattedAddress?.replace(/,\s*(USA|United States)$/i, '') || stateCode;
+              await searchState(stateCode, stateName);
+              trackSearch('state', placePrediction.text?.toString() || stateName);
+            } else {
+              // City/address search: use distance-based filtering
+              const locationText = place.formattedAddress || placePrediction.text?.toString() || '';
+              // Remove country suffix (", USA" or ", United States")
+              const cleanText = locationText.replace(/,\s*(USA|United States)$/i, '');
+              await searchNear({ lat: location.lat(), lng: location.lng() }, cleanText);
+              trackSearch('place', placePrediction.text?.toString() || cleanText);
+            }
+          }
+        });
+
+      } catch (error) {
+        console.error('Error setting up search:', error);
+        setupFallbackSearch();
+      }
+    }
+
+    /**
+     * Plain search box for when Places autocomplete isn't available
+     */
+    function setupFallbackSearch() {
+      const searchInput = byId('search-input');
+      if (!searchInput || fallbackSearchElement) return;
+
+      fallbackSearchElement = document.createElement('input');
+      fallbackSearchElement.type = 'search';
+      fallbackSearchElement.className = 'search-fallback-input';
+      fallbackSearchElement.placeholder = t('search.placeholder');
+      fallbackSearchElement.setAttribute('aria-label', t('search.placeholder'));
+      fallbackSearchElement.addEventListener('keydown', async (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        const query = fallbackSearchElement.value.trim();
+        if (query) await geocodeSearch(query);
+      });
+
+      searchInput.appendChild(fallbackSearchElement);
+    }
+
+    /**
+     * Resolve typed search text and show matching stores. Zip codes, states and
+     * known cities come from the bundled gazetteer; only other text hits the Geocoder.
+     */
+    async function geocodeSearch(query) {
+      const result = await resolveQuery(query);
+      if (destroyed) return;
+      if (!result) {
+        track('no-results', { source: 'place', query, reason: 'not-found', resultCount: 0 });
+        return;
+      }
+
+      if (result.type === 'state') {
+        await searchState(result.code, result.name);
+        trackSearch('state', query);
+      } else {
+        await searchNear({ lat: result.lat, lng: result.lng }, result.label);
+        trackSearch('place', query);
+      }
+    }
+
+    /**
+     * Turn search text into a state or a point, using the session cache first
+     */
+    async function resolveQuery(query) {
+      const cached = searchCache.get(normalizeQuery(query));
+      if (cached) return cached;
+
+      try {
+        const local = await parseQueryLocally(query, CONFIG);
+        if (local) {
+          cacheSearchResult(query, local);
+          return local;
+        }
+      } catch (error) {
+        console.warn('Offline search data unavailable:', error);
+      }
+
+      if (!window.google?.maps?.Geocoder) {
+        const resultsInfo = byId('results-info');
+        if (resultsInfo) {
+          resultsInfo.textContent = t('search.notFound', { query });
+        }
+        return null;
+      }
+
+      // Use Geocoder to resolve typed text
+      const geocoder = new google.maps.Geocoder();
+      try {
+        const result = await geocoder.geocode({ address: query });
+        if (result.results && result.results.length > 0) {
+          const r = result.results[0];
+          const loc = r.geometry.location;
+
+          // Check if this is a state-level search
+          const isStateSearch = r.types?.includes('administrative_area_level_1');
+
+          // Extract state code
+          let stateCode = null;
+          if (isStateSearch && r.address_components) {
+            const stateComponent = r.address_components.find(c =>
+              c.types?.includes('administrative_area_level_1')
+            );
+            if (stateComponent) {
+              stateCode = stateComponent.short_name;
+            }
+          }
+
+          let resolved;
+          if (isStateSearch && stateCode) {
+            // State-level search
+            const stateName = r.formatted_address?.replace(/,\s*(USA|United States)$/i, '') || stateCode;
+            resolved = { type: 'state', code: stateCode, name: stateName };
+          } else {
+            // City/address search
+            const addr = r.formatted_address || query;
+            const cleanText = addr.replace(/,\s*(USA|United States)$/i, '');
+            resolved = { type: 'point', lat: loc.lat(), lng: loc.lng(), label: cleanText };
+          }
+
+          cacheSearchResult(query, resolved);
+          return resolved;
+        }
+      } catch (err) {
+        console.error('Geocode failed:', err);
+      }
+      return null;
+    }
+
+    /**
+     * Show every store in a state (state-level searches)
+     */
+    async function searchState(stateCode, stateName, historyMode = 'push') {
+      closeStoreDetail();
+      currentLocation = null; // Clear location-based filtering
+      currentStateFilter = stateCode;
+      currentArea = null;
+      selectedStore = null;
+      setLocationLabel(stateName || stateCode, 'state');
+
+      await filterByState(stateCode);
+      updateUrlState(historyMode);
+    }
+
+    /**
+     * Show stores within the current radius of a point
+     */
+    async function searchNear(location, placeName, historyMode = 'push') {
+      closeStoreDetail();
+      currentLocation = location;
+      currentStateFilter = null;
+      currentArea = null;
+      selectedStore = null;
+      setLocationLabel(placeName, 'near');
+
+      await filterAndDisplayStores();
+      updateUrlState(historyMode);
+    }
+
+    /**
+     * Show the stores inside a map viewport, with distances from its center
+     */
+    async function searchArea(bounds, center, historyMode = 'push') {
+      closeStoreDetail();
+      currentLocation = center;
+      currentStateFilter = null;
+      currentArea = bounds;
+      selectedStore = null;
+      setLocationLabel('', 'area');
+
+      await filterByArea();
+      updateUrlState(historyMode);
+    }
+
+    /**
+     * Show "Stores near …" / "Stores in …" / "Stores in this map area" under the search box.
+     * kind: 'near', 'state' or 'area'
+     */
+    function setLocationLabel(placeName, kind) {
+      currentPlaceName = placeName || '';
+      const locationLabel = byId('current-location-label');
+      if (!locationLabel) return;
+
+      if (kind === 'area') {
+        locationLabel.textContent = t('location.area');
+        locationLabel.style.display = 'block';
+      } else if (currentPlaceName) {
+        locationLabel.textContent = t(kind === 'state' ? 'location.in' : 'location.near', { place: currentPlaceName });
+        locationLabel.style.display = 'block';
+      } else {
+        locationLabel.style.display = 'none';
+      }
+    }
+
+    /**
+     * Add the "Search this area" button over the map. It appears once the
+     * customer pans or zooms the map, and searches the visible area.
+     */
+    function setupSearchArea() {
+      const mapElement = byId('map');
+      if (!mapElement?.parentElement || mapAdapter.name === 'none') return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search-area-btn';
+      button.textContent = t('search.area');
+      button.style.display = 'none';
+      mapElement.after(button);
+      cleanups.push(() => button.remove());
+
+      listen(button, 'click', async () => {
+        const bounds = mapAdapter.getBounds();
+        const center = mapAdapter.getCenter();
+        if (!bounds || !center) return;
+        button.style.display = 'none';
+        mapTouched = false;
+        await searchArea(bounds, center);
+        trackSearch('area');
+      });
+
+      // Any pointer, wheel or key input counts as the customer moving the map;
+      // our own fitBounds/setView calls reset the flag before the map settles
+      ['pointerdown', 'wheel', 'touchstart', 'keydown'].forEach(type => {
+        listen(mapElement, type, () => { mapTouched = true; }, { passive: true });
+      });
+      mapAdapter.onMoveEnd(handleMapMoveEnd);
+    }
+
+    function handleMapMoveEnd() {
+      if (!mapTouched || destroyed) return;
+      setSearchAreaVisible(true);
+    }
+
+    function setSearchAreaVisible(visible) {
+      const button = root.querySelector('.search-area-btn');
+      if (button) button.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Setup geolocation
+     */
+    function setupGeolocation() {
+      if ('geolocation' in navigator) {
+        navigator.geolocation.getCurrentPosition(
+          (position) => {
+            if (destroyed) return;
+            const location = {
+              lat: position.coords.latitude,
+              lng: position.coords.longitude
+            };
+
+            // Reverse geocode to show user's location
+            const geocoder = window.google?.maps?.Geocoder ? new google.maps.Geocoder() : null;
+            geocoder?.geocode({ location }, (results, status) => {
+              // Ignore if the customer searched somewhere else in the meantime
+              if (destroyed || currentLocation !== location) return;
+              if (status === 'OK' && results[0]) {
+                // Prefer neighborhood/sublocality, then postal code, then first result
+                const neighborhood = results.find(r => r.types.includes('neighborhood') || r.types.includes('sublocality'));
+                const postalCode = results.find(r => r.types.includes('postal_code'));
+                const locality = results.find(r => r.types.includes('locality'));
+                const best = neighborhood || postalCode || locality || results[0];
+                // Remove country suffix, as for searches, so getSearchStateCode() can read the state
+                const locationText = best.formatted_address.replace(/,\s*(USA|United States)$/i, '');
+                setLocationLabel(locationText, 'near');
+                updateNearbySummary();
+                updateUrlState('replace');
+              }
+            });
+
+            // Geolocation isn't a deliberate search, so don't add a history entry
+            searchNear(location, '', 'replace').then(() => trackSearch('geolocation'));
+          },
+          () => {
+            if (destroyed) return;
+            // Show all stores clustered
+            showAllStores();
+          }
+        );
+      } else {
+        showAllStores();
+      }
+    }
+
+    /**
+     * Show all stores on map (no location filter)
+     */
+    async function showAllStores() {
+      filteredStores = [...stores];
+
+      // Apply type and product filters
+      updateFilterCounts(filteredStores);
+      filteredStores = sortStoreList(applyFilters(filteredStores), currentSort);
+
+      updateStoreList();
+      await updateMarkers();
+
+      // Update placeholder
+      const resultsInfo = byId('results-info');
+      if (resultsInfo) {
+        resultsInfo.textContent = currentFilters.products.length > 0
+          ? t('results.promptFiltered', { stores: describeStoreCount(filteredStores.length), products: describeProductFilter() })
+          : t('results.prompt');
+      }
+    }
+
+    /**
+     * Filter and display stores based on current location and radius. If nothing
+     * matches, widen the radius through CONFIG.radiusOptions; if even the widest
+     * radius is empty, show the closest stores instead.
+     */
+    async function filterAndDisplayStores() {
+      autoRadius = null;
+      showingNearest = false;
+
+      if (!currentLocation) {
+        syncRadiusButtons();
+        await showAllStores();
+        return;
+      }
+
+      // Stores out to the widest radius we might expand to, closest first
+      const widestRadius = Math.max(currentRadius, ...CONFIG.radiusOptions);
+      const storesInRange = spatialIndex.withinRadius(currentLocation, widestRadius);
+      const matchingStores = applyFilters(storesInRange);
+
+      // Widen the radius step by step until something matches
+      let radius = currentRadius;
+      let nearestStores = [];
+      if (!matchingStores.some(store => store.distance <= radius)) {
+        const wider = CONFIG.radiusOptions
+          .filter(option => option > currentRadius)
+          .sort((a, b) => a - b)
+          .find(option => matchingStores.some(store => store.distance <= option));
+
+        if (wider) {
+          autoRadius = wider;
+          radius = wider;
+        } else {
+          nearestStores = spatialIndex.nearest(currentLocation, NEAREST_STORE_COUNT, matchesFilters);
+          if (nearestStores.length > 0) {
+            showingNearest = true;
+            radius = nearestStores[nearestStores.length - 1].distance;
+          }
+        }
+      }
+
+      // Apply type and product filters
+      updateFilterCounts(showingNearest
+        ? spatialIndex.withinRadius(currentLocation, radius)
+        : storesInRange.filter(store => store.distance <= radius));
+      filteredStores = sortStoreList(showingNearest
+        ? nearestStores
+        : matchingStores.filter(store => store.distance <= radius), currentSort);
+
+      syncRadiusButtons();
+      updateStoreList();
+      updateNearbySummary();
+
+      await updateMarkers();
+    }
+
+    /**
+     * Results summary for a location search, including any automatic widening
+     */
+    function updateNearbySummary() {
+      const resultsInfo = byId('results-info');
+      if (!resultsInfo || !currentLocation) return;
+
+      const count = filteredStores.length;
+      const storeCount = describeStoreCount(count);
+      const products = describeProductFilter();
+
+      if (count === 0) {
+        resultsInfo.innerHTML = `<div class="no-results">${escapeHtml(t('results.none', { products }))}</div>`;
+        return;
+      }
+
+      if (!autoRadius && !showingNearest) {
+        resultsInfo.textContent = t('results.within', { stores: storeCount, distance: formatDistance(currentRadius), products });
+        return;
+      }
+
+      const widestRadius = Math.max(...CONFIG.radiusOptions);
+      const notice = showingNearest
+        ? t('results.nearest', { count, distance: formatDistance(widestRadius), products })
+        : t('results.widened', { distance: formatDistance(currentRadius), widened: formatDistance(autoRadius) });
+      let html = `<div class="radius-notice">${escapeHtml(notice)}</div>`;
+      if (!showingNearest) {
+        html += escapeHtml(t('results.within', { stores: storeCount, distance: formatDistance(autoRadius), products }));
+      }
+
+      // Call out a nearest store in a neighbouring state
+      const searchState = getSearchStateCode();
+      const nearest = filteredStores[0];
+      if (searchState && nearest.state && nearest.state.toUpperCase() !== searchState) {
+        html += `<div class="state-line-notice">${escapeHtml(t('results.stateLine', { state: nearest.state.toUpperCase() }))}</div>`;
+      }
+
+      resultsInfo.innerHTML = html;
+    }
+
+    /**
+     * State of the searched place, read from labels like "Hays, KS" or "Louisville, KY 40202"
+     */
+    function getSearchStateCode() {
+      const match = currentPlaceName.match(/\b([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/);
+      return match ? match[1] : null;
+    }
+
+    /**
+     * Filter and display stores by state (for state-level searches)
+     */
+    async function filterByState(stateCode) {
+      // Filter by state
+      filteredStores = stores.filter(store =>
+        store.state && store.state.toUpperCase() === stateCode.toUpperCase()
+      );
+
+      // Apply type and product filters
+      updateFilterCounts(filteredStores);
+      filteredStores = applyFilters(filteredStores);
+
+      // No distances here, so the default sort lists by city then name
+      filteredStores = sortStoreList(filteredStores, currentSort);
+
+      updateStoreList();
+
+      // Update results info
+      const resultsInfo = byId('results-info');
+      if (resultsInfo) {
+        const products = describeProductFilter();
+        if (filteredStores.length === 0) {
+          resultsInfo.innerHTML = `<div class="no-results">${escapeHtml(t('results.noneInState', { state: stateCode, products }))}</div>`;
+        } else {
+          resultsInfo.textContent = t('results.inState', { stores: describeStoreCount(filteredStores.length), state: stateCode, products });
+        }
+      }
+
+      await updateMarkers();
+    }
+
+    /**
+     * Filter and display the stores inside currentArea ("Search this area").
+     * The map stays where the customer put it.
+     */
+    async function filterByArea() {
+      const storesInArea = spatialIndex.inBounds(currentArea)
+        .map(store => ({ ...store, distance: calculateDistance(currentLocation, store, distanceUnit) }));
+
+      autoRadius = null;
+      showingNearest = false;
+      syncRadiusButtons();
+
+      updateFilterCounts(storesInArea);
+      filteredStores = sortStoreList(applyFilters(storesInArea), currentSort);
+
+      updateStoreList();
+
+      const resultsInfo = byId('results-info');
+      if (resultsInfo) {
+        const products = describeProductFilter();
+        if (filteredStores.length === 0) {
+          resultsInfo.innerHTML = `<div class="no-results">${escapeHtml(t('results.noneInArea', { products }))}</div>`;
+        } else {
+          resultsInfo.textContent = t('results.inArea', { stores: describeStoreCount(filteredStores.length), products });
+        }
+      }
+
+      await updateMarkers();
+    }
+
+    /**
+     * Apply the type, chain, product and open-now filters to a list of stores
+     */
+    function applyFilters(list) {
+      return list.filter(matchesFilters);
+    }
+
+    function matchesFilters(store) {
+      return matchesType(store) && matchesChain(store) && matchesProducts(store) && matchesOpenNow(store);
+    }
+
+    function matchesChain(store) {
+      return currentFilters.chain === 'all' || store.chain === currentFilters.chain;
+    }
+
+    function matchesType(store) {
+      return currentFilters.type === 'all' ||
+        (store.type && store.type.toLowerCase() === currentFilters.type.toLowerCase());
+    }
+
+    /**
+     * Whether a store carries any (or all, with productMatch 'all') of the selected products
+     */
+    function matchesProducts(store) {
+      const selected = currentFilters.products;
+      if (selected.length === 0) return true;
+      if (!store.products) return false;
+      return currentFilters.productMatch === 'all'
+        ? selected.every(product => store.products.includes(product))
+        : selected.some(product => store.products.includes(product));
+    }
+
+    /**
+     * With "Open now" on, only stores whose hours say they're open (stores without hours are left out)
+     */
+    function matchesOpenNow(store) {
+      return !currentFilters.openNow || getOpenStatus(store)?.open === true;
+    }
+
+    /**
+     * Show how many of the stores in the current search each filter option would
+     * return, e.g. "Quadraforce Blended Bourbon (3)", and disable options with none.
+     * Each facet is counted with the other facets' filters applied, so counts stay
+     * accurate as the search, radius and filters change.
+     */
+    function updateFilterCounts(searchStores) {
+      const typeSelect = byId('type-filter');
+      if (typeSelect) {
+        const storesForType = searchStores.filter(store => matchesChain(store) && matchesProducts(store) && matchesOpenNow(store));
+        Array.from(typeSelect.options).forEach(option => {
+          if (!option.dataset.label) return;
+          const count = option.value === 'all'
+            ? storesForType.length
+            : storesForType.filter(store => (store.type || '').toLowerCase() === option.value).length;
+          option.textContent = `${option.dataset.label} (${count})`;
+          option.disabled = count === 0 && option.value !== 'all' && option.value !== currentFilters.type;
+        });
+      }
+
+      const chainSelect = byId('chain-filter');
+      if (chainSelect) {
+        const storesForChain = searchStores.filter(store => matchesType(store) && matchesProducts(store) && matchesOpenNow(store));
+        Array.from(chainSelect.options).forEach(option => {
+          if (!option.dataset.label) return;
+          const count = option.value === 'all'
+            ? storesForChain.length
+            : storesForChain.filter(store => store.chain === option.value).length;
+          option.textContent = `${option.dataset.label} (${count})`;
+          option.disabled = count === 0 && option.value !== 'all' && option.value !== currentFilters.chain;
+        });
+      }
+
+      const productList = byId('product-filter');
+      if (productList) {
+        const storesForProducts = searchStores.filter(store => matchesType(store) && matchesChain(store) && matchesOpenNow(store));
+        const selected = currentFilters.products;
+        productList.querySelectorAll('.product-option').forEach(option => {
+          const checkbox = option.querySelector('input');
+          const product = checkbox.value;
+          // "Any of" counts stores carrying this product; "All of" counts stores that
+          // would still match if this product were added to the selection
+          const required = currentFilters.productMatch === 'all' ? [...new Set([...selected, product])] : [product];
+          const count = storesForProducts.filter(store =>
+            store.products && required.every(p => store.products.includes(p))
+          ).length;
+
+          option.querySelector('.product-count').textContent = ` (${count})`;
+          checkbox.disabled = count === 0 && !checkbox.checked;
+          option.classList.toggle('disabled', checkbox.disabled);
+        });
+      }
+
+      const openNowCount = byId('open-now-count');
+      if (openNowCount) {
+        const count = searchStores.filter(store =>
+          matchesType(store) && matchesChain(store) && matchesProducts(store) && getOpenStatus(store)?.open === true
+        ).length;
+        openNowCount.textContent = ` (${count})`;
+      }
+    }
+
+    /**
+     * " carrying X or Y" / " carrying both X and Y" for the results summary, or '' with no product filter
+     */
+    function describeProductFilter() {
+      const selected = currentFilters.products;
+      if (selected.length === 0) return '';
+      if (selected.length === 1) return t('products.any', { products: selected[0] });
+
+      const matchAll = currentFilters.productMatch === 'all';
+      const list = new Intl.ListFormat(locale, { type: matchAll ? 'conjunction' : 'disjunction' }).format(selected);
+      if (!matchAll) return t('products.any', { products: list });
+      return t(selected.length === 2 ? 'products.both' : 'products.all', { products: list });
+    }
+
+    /**
+     * "1 store" / "12 stores"
+     */
+    function describeStoreCount(count) {
+      return t('results.stores', { count });
+    }
+
+    /**
+     * A distance in the locator's unit: "10 miles" / "16 km", or "10 mi" with short
+     */
+    function formatDistance(value, short = false) {
+      return t(`units.${distanceUnit}${short ? '.short' : ''}`, { count: value });
+    }
+
+    /**
+     * Display label for a store type, e.g. "off-premise" → "Retail"
+     */
+    function getTypeDisplayLabel(type) {
+      if (!type) return '';
+      const key = `type.${type.toLowerCase()}`;
+      return t.has(key) ? t(key) : type;
+    }
+
+    /**
+     * Display label for a product category, e.g. "rye" → "Rye Whiskey"
+     */
+    function getCategoryLabel(category) {
+      if (!category) return '';
+      const key = `category.${category.toLowerCase()}`;
+      return t.has(key) ? t(key) : category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    /**
+     * The chain a store belongs to, with the chain's logo when chains.json has one
+     */
+    function createChainHtml(store, className) {
+      if (!store.chain) return '';
+      const logo = chainCatalog.get(store.chain)?.logo;
+      return `<p class="${className}">${logo ? `<img class="store-chain-logo" src="${escapeHtml(logo)}" alt="" loading="lazy">` : ''}<span>${escapeHtml(store.chain)}</span></p>`;
+    }
+
+    /**
+     * A store's own website, else its chain's
+     */
+    function getStoreWebsite(store) {
+      return store.website || chainCatalog.get(store.chain)?.website || '';
+    }
+
+    /**
+     * A product's bottle image, or its abbreviation in a circle when the catalog has no image
+     */
+    function createProductImageHtml(name, className) {
+      const product = productCatalog.get(name);
+      if (product?.image) {
+        return `<img class="${className}" src="${escapeHtml(product.image)}" alt="" loading="lazy">`;
+      }
+      const mark = product?.abbrev || name.split(/\s+/).filter(word => /^[a-z0-9]/i.test(word)).slice(0, 2).map(word => word[0]).join('').toUpperCase();
+      return `<span class="${className} product-mark" aria-hidden="true">${escapeHtml(mark)}</span>`;
+    }
+
+    const deliveryMonthFormat = new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+    /**
+     * When a store last received a product, from the distributor's invoices:
+     * { month: "Mar 2026", stale }, or null when stores.json has no date. A product
+     * is stale once its last delivery is more than CONFIG.staleAfterMonths old.
+     */
+    function getLastDelivery(store, productName) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(store.last_delivered?.[productName] || '');
+      if (!match) return null;
+
+      const delivered = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      const staleBefore = new Date();
+      staleBefore.setMonth(staleBefore.getMonth() - CONFIG.staleAfterMonths);
+      return {
+        month: deliveryMonthFormat.format(delivered),
+        stale: CONFIG.staleAfterMonths > 0 && delivered < staleBefore.getTime()
+      };
+    }
+
+    /**
+     * A store's products as chips with their last delivery month. Products in the
+     * current filter are highlighted; stale ones are dimmed.
+     */
+    function createProductChipsHtml(store) {
+      const chips = store.products.map(name => {
+        const delivery = getLastDelivery(store, name);
+        const title = [
+          delivery && t('products.lastDelivered', { date: delivery.month }),
+          delivery?.stale && t('products.stale'),
+          productCatalog.get(name)?.description
+        ].filter(Boolean).join('\n');
+
+        const classes = ['product-chip'];
+        if (currentFilters.products.includes(name)) classes.push('selected');
+        if (delivery?.stale) classes.push('stale');
+
+        return `
+          <li class="${classes.join(' ')}"${title ? ` title="${escapeHtml(title)}"` : ''}>
+            ${createProductImageHtml(name, 'product-chip-image')}<span>${escapeHtml(name)}</span>
+            ${delivery ? `<span class="product-chip-date">${escapeHtml(delivery.month)}</span>` : ''}
+          </li>
+        `;
+      });
+      return `<ul class="product-chips" aria-label="${escapeHtml(t('filters.products'))}">${chips.join('')}</ul>`;
+    }
+
+    /**
+     * A product with its image, category, description and last delivery, for the detail panel
+     */
+    function createProductDetailHtml(store, name) {
+      const product = productCatalog.get(name);
+      const delivery = getLastDelivery(store, name);
+      const category = product?.category ? `<span class="product-category">${escapeHtml(getCategoryLabel(product.category))}</span>` : '';
+      const description = product?.description ? `<p class="product-detail-description">${escapeHtml(product.description)}</p>` : '';
+      const lastDelivered = delivery
+        ? `<p class="product-delivered">${escapeHtml(t('products.lastDelivered', { date: delivery.month }))}${delivery.stale ? `<br><span class="product-stale-note">${escapeHtml(t('products.stale'))}</span>` : ''}</p>`
+        : '';
+      return `
+        <li class="product-detail${delivery?.stale ? ' stale' : ''}">
+          ${createProductImageHtml(name, 'product-detail-image')}
+          <div>
+            <strong class="product-detail-name">${escapeHtml(name)}</strong>
+            ${category}
+            ${description}
+            ${lastDelivered}
+          </div>
+        </li>
+      `;
+    }
+
+    const timeFormat = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+    const hourFormat = new Intl.DateTimeFormat(locale, { hour: 'numeric', timeZone: 'UTC' });
+
+    /**
+     * "21:30" → "9:30 PM", "21:00" → "9 PM" in the locator's locale
+     */
+    function formatTimeOfDay(time) {
+      const minutes = toMinutes(time) % (24 * 60);
+      const date = new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+      return (minutes % 60 ? timeFormat : hourFormat).format(date);
+    }
+
+    /**
+     * One day's ranges as text: "11 AM–2 PM, 5–10 PM", "Open 24 hours" or "Closed"
+     */
+    function formatDayHours(ranges) {
+      if (ranges.length === 0) return t('hours.closedDay');
+      if (ranges.length === 1 && ranges[0][0] === '00:00' && ranges[0][1] === '24:00') return t('hours.allDay');
+      return ranges.map(([open, close]) => `${formatTimeOfDay(open)}–${formatTimeOfDay(close)}`).join(', ');
+    }
+
+    /**
+     * Open/closed badge and today's hours, or '' for a store without hours
+     */
+    function createHoursHtml(store, className) {
+      const status = getOpenStatus(store);
+      if (!status) return '';
+
+      // A store that doesn't open today just says "Closed today"
+      if (status.today.length === 0 && !status.open) {
+        return `<p class="${className}"><span class="store-open-badge closed">${escapeHtml(t('hours.closedToday'))}</span></p>`;
+      }
+
+      const badge = `<span class="store-open-badge ${status.open ? 'open' : 'closed'}">${escapeHtml(t(status.open ? 'hours.open' : 'hours.closed'))}</span>`;
+      const today = status.today.length > 0
+        ? t('hours.today', { hours: formatDayHours(status.today) })
+        : '';
+      return `<p class="${className}">${badge} ${escapeHtml(today)}</p>`;
+    }
+
+    /**
+     * The store's whole week, Monday first, for the detail panel
+     */
+    function createWeeklyHoursHtml(store) {
+      const weekly = store.hours?.weekly;
+      if (!weekly) return '';
+
+      const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+      const rows = [1, 2, 3, 4, 5, 6, 0].map(day => {
+        // 2024-01-07 was a Sunday
+        const dayName = dayFormat.format(new Date(Date.UTC(2024, 0, 7 + day)));
+        return `<tr><th scope="row">${escapeHtml(dayName)}</th><td>${escapeHtml(formatDayHours(weekly[WEEK_DAYS[day]] || []))}</td></tr>`;
+      });
+
+      return `
+        <div class="store-detail-hours">
+          <h3>${escapeHtml(t('detail.hours'))}</h3>
+          <table>${rows.join('')}</table>
+        </div>
+      `;
+    }
+
+    /**
+     * Update map markers
+     */
+    async function updateMarkers() {
+      const storesToShow = getDisplayedStores();
+
+      markers = mapAdapter.setMarkers(storesToShow, (store, marker) => {
+        selectedStore = store;
+        showInfoWindow(marker, store);
+        highlightStoreInList(store);
+        updateUrlState('replace');
+        mapTouched = false;
+        track('store-select', { store: describeStore(store), source: 'map' });
+        if (!isMobile) {
+          scrollToStore(store);
+        }
+      }, store => store.store_id);
+      markersById = new Map(storesToShow.map((store, i) => [store.store_id, markers[i]]));
+
+      fitMapToResults(storesToShow);
+    }
+
+    /**
+     * Fit map to show all result markers plus the search location
+     */
+    function fitMapToResults(storesToShow) {
+      mapTouched = false;
+      setSearchAreaVisible(false);
+
+      // An area search shows what's already on screen
+      if (currentArea) return;
+
+      if (storesToShow.length > 0) {
+        const points = storesToShow.map(store => ({ lat: store.lat, lng: store.lng }));
+        if (currentLocation) {
+          points.push(currentLocation);
+        }
+        mapAdapter.fitBounds(points, 15);
+      } else if (currentLocation) {
+        // No stores found — keep centered on user location
+        mapAdapter.setView(currentLocation, 11);
+      }
+    }
+
+    /**
+     * Show info window for a store
+     */
+    function showInfoWindow(marker, store) {
+      const directionsUrl = getDirectionsUrl(store);
+
+      let content = `
+        <div class="info-window">
+          <h3>${escapeHtml(store.name)}</h3>
+          ${createChainHtml(store, 'info-chain')}
+          <p class="info-address">
+            ${escapeHtml(store.address)}<br>
+            ${escapeHtml(store.city)}, ${escapeHtml(store.state)} ${escapeHtml(store.zip)}
+          </p>
+      `;
+
+      content += createHoursHtml(store, 'info-hours');
+
+      if (store.products && store.products.length > 0) {
+        content += createProductChipsHtml(store);
+      }
+
+      if (store.phone) {
+        content += `<p class="info-phone"><a href="tel:${escapeHtml(store.phone)}">${escapeHtml(store.phone)}</a></p>`;
+      }
+
+      const website = getStoreWebsite(store);
+      if (website) {
+        content += `<p class="info-website"><a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('store.website'))}</a></p>`;
+      }
+
+      content += `
+          <p class="info-directions">
+            <a href="${directionsUrl}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('store.directions'))}</a>
+          </p>
+          <button type="button" class="info-details-btn">${escapeHtml(t('store.details'))}</button>
+        </div>
+      `;
+
+      const contentElement = document.createElement('div');
+      contentElement.innerHTML = content;
+
+      // Intercept directions link in info window
+      const link = contentElement.querySelector('.info-directions a');
+      if (link) {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          showCallAheadModal(store);
+        });
+      }
+      contentElement.querySelector('.info-details-btn')?.addEventListener('click', () => {
+        openStoreDetail(store);
+      });
+      contentElement.querySelector('.info-phone a')?.addEventListener('click', () => {
+        track('phone-click', { store: describeStore(store), context: 'map' });
+      });
+      contentElement.querySelector('.info-website a')?.addEventListener('click', () => {
+        track('website-click', { store: describeStore(store), context: 'map' });
+      });
+
+      mapAdapter.showInfoWindow(marker, { lat: store.lat, lng: store.lng }, contentElement.firstElementChild);
+    }
+
+    /**
+     * Stores shown in the list and on the map: the current results, or every
+     * store when nothing has been searched yet
+     */
+    function getDisplayedStores() {
+      return (filteredStores.length > 0 || currentLocation) ? filteredStores : stores;
+    }
+
+    /**
+     * Update store list. Only the first page of cards is rendered; "Load more"
+     * appends the next one, so statewide and all-store views stay fast.
+     */
+    function updateStoreList() {
+      const storeList = byId('store-list');
+      if (!storeList) return;
+
+      storeList.innerHTML = '';
+      renderedCount = 0;
+
+      const storesToShow = getDisplayedStores();
+
+      if (storesToShow.length === 0) {
+        storeList.innerHTML = `<div class="no-results">${escapeHtml(t('results.noneInRadius'))}</div>`;
+        return;
+      }
+
+      // Cards get a list of their own, so "Load more" and the no-results message aren't list items
+      storeList.innerHTML = `<div class="store-cards" role="list" aria-label="${escapeHtml(t('list.label'))}"></div>`;
+      renderMoreStores(LIST_PAGE_SIZE);
+      storeList.querySelector('.store-card')?.setAttribute('tabindex', '0');
+    }
+
+    /**
+     * Append the next `count` store cards, followed by a "Load more" button if any remain
+     */
+    function renderMoreStores(count) {
+      const storeList = byId('store-list');
+      const cardList = storeList?.querySelector('.store-cards');
+      if (!cardList) return;
+
+      const storesToShow = getDisplayedStores();
+      const end = Math.min(storesToShow.length, renderedCount + count);
+
+      storeList.querySelector('.load-more-btn')?.remove();
+      cardList.insertAdjacentHTML('beforeend', storesToShow
+        .slice(renderedCount, end)
+        .map(store => createStoreCardHtml(store))
+        .join(''));
+      renderedCount = end;
+
+      const remaining = storesToShow.length - renderedCount;
+      if (remaining > 0) {
+        storeList.insertAdjacentHTML('beforeend',
+          `<button type="button" class="load-more-btn">${escapeHtml(t('list.loadMore', { count: remaining }))}</button>`);
+      }
+    }
+
+    /**
+     * Handle clicks for every card with one delegated listener on #store-list
+     */
+    function setupStoreList() {
+      const storeList = byId('store-list');
+      if (!storeList) return;
+
+      // Announce result counts to screen readers
+      const resultsInfo = byId('results-info');
+      if (resultsInfo) {
+        resultsInfo.setAttribute('role', 'status');
+        resultsInfo.setAttribute('aria-live', 'polite');
+      }
+
+      listen(storeList, 'keydown', (e) => {
+        const card = e.target.closest('.store-card');
+        if (!card) return;
+
+        if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          selectCard(card);
+          return;
+        }
+
+        // Arrow keys move between cards (one tab stop for the whole list)
+        const moves = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+        if (!(e.key in moves)) return;
+        e.preventDefault();
+
+        let cards = Array.from(storeList.querySelectorAll('.store-card'));
+        const index = cards.indexOf(card);
+        if (e.key === 'ArrowDown' && index === cards.length - 1 && storeList.querySelector('.load-more-btn')) {
+          renderMoreStores(LIST_PAGE_SIZE);
+          cards = Array.from(storeList.querySelectorAll('.store-card'));
+        }
+        const next = Math.max(0, Math.min(cards.length - 1, index + moves[e.key]));
+        focusCard(cards[next]);
+      });
+
+      listen(storeList, 'click', (e) => {
+        if (e.target.closest('.load-more-btn')) {
+          renderMoreStores(LIST_PAGE_SIZE);
+          return;
+        }
+
+        const card = e.target.closest('.store-card');
+        if (!card) return;
+
+        const store = getDisplayedStores().find(s => s.store_id === card.dataset.storeId);
+
+        // Intercept directions link click to show call-ahead modal
+        if (e.target.closest('.store-directions')) {
+          e.preventDefault();
+          if (store) {
+            showCallAheadModal(store);
+          }
+          return;
+        }
+
+        // Phone and website links do their own thing, without opening the detail panel
+        if (e.target.closest('a')) {
+          if (store && e.target.closest('.store-phone a')) {
+            track('phone-click', { store: describeStore(store), context: 'list' });
+          } else if (store && e.target.closest('.store-website a')) {
+            track('website-click', { store: describeStore(store), context: 'list' });
+          }
+          return;
+        }
+
+        selectCard(card);
+      });
+    }
+
+    /**
+     * Select the store behind a card (click or Enter) and open its detail panel
+     */
+    function selectCard(card) {
+      const store = getDisplayedStores().find(s => s.store_id === card.dataset.storeId);
+      if (!store) return;
+
+      const marker = markersById.get(store.store_id);
+      if (marker) {
+        focusStore(store, marker, 'list');
+      }
+      focusCard(card, false);
+      openStoreDetail(store);
+    }
+
+    /**
+     * Make a card the list's single tab stop, and optionally move focus to it
+     */
+    function focusCard(card, moveFocus = true) {
+      byId('store-list')?.querySelectorAll('.store-card[tabindex="0"]').forEach(c => c.setAttribute('tabindex', '-1'));
+      card.setAttribute('tabindex', '0');
+      if (moveFocus) card.focus();
+    }
+
+    /**
+     * Setup the store detail panel, which replaces the filters and list in the sidebar
+     */
+    function setupStoreDetail() {
+      const sidebar = root.querySelector('.store-locator-sidebar');
+      if (!sidebar) return;
+
+      // Older embeds have no #store-detail placeholder
+      let panel = byId('store-detail');
+      if (!panel) {
+        panel = document.createElement('section');
+        panel.id = 'store-detail';
+        sidebar.appendChild(panel);
+        cleanups.push(() => panel.remove());
+      }
+      panel.classList.add('store-detail-section');
+      panel.hidden = true;
+      panel.setAttribute('aria-label', t('detail.label'));
+
+      listen(panel, 'click', async (e) => {
+        const store = detailStore;
+        if (!store) return;
+
+        if (e.target.closest('.store-detail-back')) {
+          leaveStoreDetail();
+        } else if (e.target.closest('.store-directions')) {
+          e.preventDefault();
+          showCallAheadModal(store);
+        } else if (e.target.closest('.store-share-btn')) {
+          await shareStore(store);
+        } else if (e.target.closest('.store-phone a')) {
+          track('phone-click', { store: describeStore(store), context: 'detail' });
+        } else if (e.target.closest('.store-website a')) {
+          track('website-click', { store: describeStore(store), context: 'detail' });
+        }
+      });
+
+      listen(panel, 'keydown', (e) => {
+        if (e.key === 'Escape') leaveStoreDetail();
+      });
+    }
+
+    /**
+     * Show a store in the detail panel. Adds a history entry, so Back returns to the list.
+     */
+    function openStoreDetail(store, historyMode = 'push') {
+      const panel = byId('store-detail');
+      const sidebar = root.querySelector('.store-locator-sidebar');
+      if (!panel || !sidebar) return;
+
+      // Remember the list we came from (going from one store to another keeps the first)
+      if (!detailStore) {
+        listScrollTop = root.querySelector('.store-list-section')?.scrollTop || 0;
+        detailPushed = CONFIG.syncUrl && historyMode === 'push' && !restoringUrlState;
+        detailListUrl = detailPushed ? window.location.search : null;
+      }
+      detailStore = store;
+      selectedStore = store;
+
+      panel.innerHTML = createStoreDetailHtml(store);
+      panel.hidden = false;
+      sidebar.classList.add('showing-detail');
+      panel.querySelector('.store-detail-name')?.focus();
+
+      if (isMobile) {
+        setMobileView('list');
+      }
+
+      updateUrlState(historyMode);
+      track('store-detail-open', { store: describeStore(store) });
+    }
+
+    /**
+     * Hide the detail panel and bring back the list where it was scrolled to
+     */
+    function closeStoreDetail() {
+      if (!detailStore) return;
+
+      const store = detailStore;
+      const panel = byId('store-detail');
+      const hadFocus = panel?.contains(document.activeElement);
+      detailStore = null;
+      detailListUrl = null;
+      detailPushed = false;
+
+      if (panel) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+      }
+      root.querySelector('.store-locator-sidebar')?.classList.remove('showing-detail');
+
+      const listSection = root.querySelector('.store-list-section');
+      if (listSection) {
+        listSection.scrollTop = listScrollTop;
+      }
+
+      // Keyboard users land back on the card they opened
+      const card = findStoreCard(store);
+      if (card && hadFocus) {
+        focusCard(card, false);
+        card.focus({ preventScroll: true });
+      }
+    }
+
+    /**
+     * The panel's Back button: step back through history when opening the panel
+     * added an entry, otherwise just close it
+     */
+    function leaveStoreDetail() {
+      if (detailPushed && window.location.search !== detailListUrl) {
+        history.back();
+        return;
+      }
+      closeStoreDetail();
+      updateUrlState('replace');
+    }
+
+    /**
+     * Detail panel markup: everything on the card plus the full product list and sharing
+     */
+    function createStoreDetailHtml(store) {
+      let html = `
+        <button type="button" class="store-detail-back">&larr; ${escapeHtml(t('detail.back'))}</button>
+        <h2 class="store-name store-detail-name" tabindex="-1">${escapeHtml(store.name)}</h2>
+        ${createChainHtml(store, 'store-chain')}
+      `;
+
+      if (store.type) {
+        html += `<span class="store-type-badge">${escapeHtml(getTypeDisplayLabel(store.type))}</span>`;
+      }
+
+      html += `
+        <p class="store-address">
+          ${escapeHtml(store.address)}<br>
+          ${escapeHtml(store.city)}, ${escapeHtml(store.state)} ${escapeHtml(store.zip)}
+        </p>
+      `;
+
+      if (store.distance !== undefined) {
+        const distance = formatDistance(Math.round(store.distance * 10) / 10);
+        const text = currentPlaceName
+          ? t('detail.distanceFrom', { distance, place: currentPlaceName })
+          : t('store.distance', { distance });
+        html += `<p class="store-distance">${escapeHtml(text)}</p>`;
+      }
+
+      html += createHoursHtml(store, 'store-hours');
+
+      if (store.phone) {
+        html += `<p class="store-phone"><a href="tel:${escapeHtml(store.phone)}">${escapeHtml(store.phone)}</a></p>`;
+      }
+
+      const website = getStoreWebsite(store);
+      if (website) {
+        html += `<p class="store-website"><a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('store.website'))}</a></p>`;
+      }
+
+      if (store.products && store.products.length > 0) {
+        html += `
+          <div class="store-detail-products">
+            <h3>${escapeHtml(t('detail.products'))}</h3>
+            <ul>${store.products.map(name => createProductDetailHtml(store, name)).join('')}</ul>
+          </div>
+        `;
+      }
+
+      html += createWeeklyHoursHtml(store);
+
+      html += `
+        <div class="store-detail-actions">
+          <a href="${getDirectionsUrl(store)}" target="_blank" rel="noopener noreferrer" class="store-directions">${escapeHtml(t('store.directions'))}</a>
+          <button type="button" class="store-share-btn">${escapeHtml(t('detail.share'))}</button>
+        </div>
+        <p class="store-share-status" role="status" aria-live="polite"></p>
+      `;
+
+      return html;
+    }
+
+    /**
+     * Link that opens a store's detail panel, without the current search
+     */
+    function getStorePermalink(store) {
+      const url = new URL(window.location.href);
+      URL_PARAMS.forEach(key => url.searchParams.delete(key));
+      url.searchParams.set('store', store.store_id);
+      url.searchParams.set('view', 'detail');
+      return url.href;
+    }
+
+    /**
+     * Share a store with the Web Share API, or copy its link where that isn't available
+     */
+    async function shareStore(store) {
+      const url = getStorePermalink(store);
+      const status = byId('store-detail')?.querySelector('.store-share-status');
+
+      if (navigator.share) {
+        try {
+          await navigator.share({
+            title: store.name,
+            text: t('detail.shareText', { name: store.name, city: store.city, state: store.state }),
+            url
+          });
+          track('share', { store: describeStore(store), method: 'web-share' });
+          return;
+        } catch (error) {
+          // Closing the share sheet isn't a failure; anything else falls back to copying
+          if (error.name === 'AbortError') return;
+        }
+      }
+
+      try {
+        await navigator.clipboard.writeText(url);
+        if (status) status.textContent = t('detail.copied');
+      } catch (error) {
+        // No clipboard access: show the link to copy by hand
+        if (status) {
+          status.innerHTML = `${escapeHtml(t('detail.copyPrompt'))} <input type="text" class="store-share-link" readonly value="${escapeHtml(url)}">`;
+          status.querySelector('input').select();
+        }
+      }
+      track('share', { store: describeStore(store), method: 'copy-link' });
     }
-  }
 
-  /**
-   * Escape HTML to prevent XSS
-   */
-  function escapeHtml(text) {
-    if (text == null) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
+    /**
+     * Arrow keys on a focused marker move to the next or previous store in list order
+     */
+    function setupMarkerKeyboard() {
+      const mapElement = byId('map');
+      if (!mapElement) return;
 
-  /**
-   * Show call-ahead modal before opening directions
-   */
-  function showCallAheadModal(directionsUrl, phone, storeName, city, state, website) {
-    const overlay = document.getElementById('call-ahead-overlay');
-    const phoneDiv = document.getElementById('call-ahead-phone');
-    const websiteDiv = document.getElementById('call-ahead-website');
-    const continueBtn = document.getElementById('call-ahead-continue');
+      // Capture phase, so the map doesn't also pan on the same key press
+      listen(mapElement, 'keydown', (e) => {
+        const moves = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+        if (!(e.key in moves) || markers.length === 0) return;
+
+        const index = markers.findIndex(marker => mapAdapter.getMarkerElement(marker)?.contains(e.target));
+        if (index === -1) return;
+        e.preventDefault();
+        e.stopPropagation();
 
-    if (!overlay) return;
+        const next = (index + moves[e.key] + markers.length) % markers.length;
+        focusStore(getDisplayedStores()[next], markers[next], 'map');
 
-    // Show store name
-    const messageEl = overlay.querySelector('.call-ahead-message');
-    const nameEl = document.getElementById('call-ahead-store-name');
-    if (nameEl) {
-      nameEl.textContent = storeName;
+        // The marker may only be drawn once the map has zoomed in and un-clustered
+        setTimeout(() => mapAdapter?.getMarkerElement(markers[next])?.focus(), 300);
+      }, true);
     }
 
-    // Populate phone or Google search link
-    if (phone) {
-      phoneDiv.innerHTML = `<a href="tel:${escapeHtml(phone)}">Call ${escapeHtml(phone)}</a>`;
-    } else {
-      const searchQuery = encodeURIComponent(`${storeName} ${city} ${state} phone`);
-      phoneDiv.innerHTML = `<a href="https://www.google.com/search?q=${searchQuery}" target="_blank" rel="noopener noreferrer">Search for Phone Number</a>`;
+    /**
+     * Directions link for a store in Apple Maps, Google Maps or Waze (see
+     * DIRECTIONS_PROVIDERS), defaulting to the customer's preferred app
+     */
+    function getDirectionsUrl(store, provider = getDirectionsProvider()) {
+      return DIRECTIONS_PROVIDERS[provider].url(store);
     }
 
-    // Populate website or Google search link
-    if (websiteDiv) {
+    /**
+     * Store card markup
+     */
+    function createStoreCardHtml(store) {
+      let html = `
+        <div class="store-card" role="listitem" tabindex="-1" data-store-id="${escapeHtml(store.store_id)}">
+          <h3 class="store-name">${escapeHtml(store.name)}</h3>
+          ${createChainHtml(store, 'store-chain')}
+          <p class="store-address">
+            ${escapeHtml(store.address)}<br>
+            ${escapeHtml(store.city)}, ${escapeHtml(store.state)} ${escapeHtml(store.zip)}
+          </p>
+      `;
+
+      if (store.type) {
+        html += `<span class="store-type-badge">${escapeHtml(getTypeDisplayLabel(store.type))}</span>`;
+      }
+
+      html += createHoursHtml(store, 'store-hours');
+
+      if (store.phone) {
+        html += `<p class="store-phone"><a href="tel:${escapeHtml(store.phone)}">${escapeHtml(store.phone)}</a></p>`;
+      }
+
+      const website = getStoreWebsite(store);
       if (website) {
-        websiteDiv.innerHTML = `<a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">Check the Website</a>`;
+        html += `<p class="store-website"><a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('store.website'))}</a></p>`;
+      }
+
+      if (store.products && store.products.length > 0) {
+        html += createProductChipsHtml(store);
+      }
+
+      if (store.distance !== undefined) {
+        html += `<p class="store-distance">${escapeHtml(t('store.distance', { distance: formatDistance(Math.round(store.distance * 10) / 10) }))}</p>`;
+      }
+
+      html += `<a href="${getDirectionsUrl(store)}" target="_blank" rel="noopener noreferrer" class="store-directions">${escapeHtml(t('store.directions'))}</a>`;
+      html += `</div>`;
+
+      return html;
+    }
+
+    /**
+     * Pan to a store, open its info window and highlight its card.
+     * source ('list', 'map' or 'api') is reported with the store-select event.
+     */
+    function focusStore(store, marker, source = 'api') {
+      selectedStore = store;
+      updateUrlState('replace');
+      track('store-select', { store: describeStore(store), source });
+      mapTouched = false;
+      mapAdapter.setView({ lat: store.lat, lng: store.lng }, 15);
+      showInfoWindow(marker, store);
+      highlightStoreInList(store);
+
+      // Switch to map view on mobile
+      if (isMobile) {
+        setMobileView('map');
+      }
+    }
+
+    /**
+     * Find a store's card, rendering more of the list first if it isn't on screen yet
+     */
+    function findStoreCard(store) {
+      const index = findStoreIndex(getDisplayedStores(), store);
+      if (index === -1) return null;
+      if (index >= renderedCount) {
+        renderMoreStores(index + 1 - renderedCount);
+      }
+      const cards = byId('store-list')?.querySelectorAll('.store-card') || [];
+      return Array.from(cards).find(card => card.dataset.storeId === store.store_id) || null;
+    }
+
+    /**
+     * Highlight a store in the list
+     */
+    function highlightStoreInList(store) {
+      root.querySelectorAll('.store-card.active').forEach(card => {
+        card.classList.remove('active');
+        card.removeAttribute('aria-current');
+      });
+
+      const matchingCard = findStoreCard(store);
+      if (matchingCard) {
+        matchingCard.classList.add('active');
+        matchingCard.setAttribute('aria-current', 'true');
+        focusCard(matchingCard, false);
+      }
+    }
+
+    /**
+     * Scroll to store in list
+     */
+    function scrollToStore(store) {
+      const matchingCard = findStoreCard(store);
+      if (matchingCard) {
+        matchingCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    }
+
+    /**
+     * Setup distance filters
+     */
+    function setupDistanceFilters() {
+      const container = byId('distance-filters');
+      if (!container) return;
+
+      container.setAttribute('role', 'radiogroup');
+      container.setAttribute('aria-label', t('filters.radius'));
+
+      CONFIG.radiusOptions.forEach(radius => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'distance-filter-btn';
+        button.textContent = formatDistance(radius, true);
+        button.dataset.radius = radius;
+        button.setAttribute('role', 'radio');
+        button.setAttribute('aria-label', formatDistance(radius));
+
+        button.addEventListener('click', () => setRadius(radius));
+
+        container.appendChild(button);
+      });
+
+      // Radio group keys: arrows move and select, the group is one tab stop
+      listen(container, 'keydown', (e) => {
+        const moves = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+        if (!(e.key in moves)) return;
+        e.preventDefault();
+
+        const buttons = Array.from(container.querySelectorAll('.distance-filter-btn'));
+        const index = buttons.indexOf(e.target);
+        if (index === -1) return;
+        const next = buttons[(index + moves[e.key] + buttons.length) % buttons.length];
+        next.focus();
+        setRadius(Number(next.dataset.radius));
+      });
+
+      syncRadiusButtons();
+    }
+
+    /**
+     * Setup type filter
+     */
+    function setupTypeFilter() {
+      const container = byId('type-filter-container');
+      if (!container) return;
+
+      // Check if any stores have type data
+      const hasTypeData = stores.some(store => store.type && store.type.trim() !== '');
+
+      if (!hasTypeData) {
+        container.style.display = 'none';
+        return;
+      }
+
+      // Get unique types
+      const types = ['all', ...new Set(stores.filter(s => s.type).map(s => s.type))];
+
+      const select = byId('type-filter');
+      select.innerHTML = '';
+
+      types.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.toLowerCase();
+        option.textContent = type === 'all' ? t('filters.allTypes') : getTypeDisplayLabel(type);
+        option.dataset.label = option.textContent;
+        select.appendChild(option);
+      });
+
+      listen(select, 'change', async (e) => {
+        currentFilters.type = e.target.value;
+        await refreshResults();
+        track('filter-change', { filter: 'type', value: currentFilters.type });
+      });
+    }
+
+    /**
+     * Setup the chain filter: every chain in stores.json, alphabetically. Hidden
+     * when no store belongs to a chain.
+     */
+    function setupChainFilter() {
+      const chains = [...new Set(stores.map(store => store.chain).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b, locale));
+
+      // Older embeds have no #chain-filter-container placeholder
+      let container = byId('chain-filter-container');
+      if (!container) {
+        const previous = byId('type-filter-container');
+        if (!previous || chains.length === 0) return;
+        container = document.createElement('div');
+        container.className = 'filter-group';
+        container.id = 'chain-filter-container';
+        container.innerHTML = `<label></label><select id="chain-filter"></select>`;
+        previous.after(container);
+        cleanups.push(() => container.remove());
+      }
+
+      if (chains.length === 0) {
+        container.style.display = 'none';
+        return;
+      }
+
+      const label = container.querySelector(':scope > label');
+      if (label) label.textContent = t('filters.chain');
+
+      const select = byId('chain-filter');
+      select.innerHTML = '';
+
+      ['all', ...chains].forEach(chain => {
+        const option = document.createElement('option');
+        option.value = chain;
+        option.textContent = chain === 'all' ? t('filters.allChains') : chain;
+        option.dataset.label = option.textContent;
+        select.appendChild(option);
+      });
+      select.value = currentFilters.chain;
+
+      listen(select, 'change', async (e) => {
+        currentFilters.chain = e.target.value;
+        await refreshResults();
+        track('filter-change', { filter: 'chain', value: currentFilters.chain });
+      });
+    }
+
+    /**
+     * Setup product filter: a checkbox per product plus an any/all toggle
+     */
+    function setupProductFilter() {
+      const container = byId('product-filter-container');
+      if (!container) return;
+
+      // Check if any stores have product data
+      const hasProductData = stores.some(store => store.products && store.products.length > 0);
+
+      if (!hasProductData) {
+        container.style.display = 'none';
+        return;
+      }
+
+      // Get unique products
+      const productsSet = new Set();
+      stores.forEach(store => {
+        if (store.products) {
+          store.products.forEach(product => productsSet.add(product));
+        }
+      });
+
+      // Catalog order when product details loaded, then any others alphabetically
+      const catalogOrder = Array.from(productCatalog.keys());
+      const rank = (name) => {
+        const index = catalogOrder.indexOf(name);
+        return index === -1 ? catalogOrder.length : index;
+      };
+      const products = Array.from(productsSet).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+      // Older embeds have a single-choice <select id="product-filter">; swap it for a checkbox list
+      let list = byId('product-filter');
+      if (list.tagName === 'SELECT') {
+        const replacement = document.createElement('div');
+        replacement.id = 'product-filter';
+        list.replaceWith(replacement);
+        list = replacement;
+      }
+      list.innerHTML = '';
+      list.classList.add('product-picker');
+      list.setAttribute('role', 'group');
+      list.setAttribute('aria-label', t('filters.products'));
+
+      products.forEach(product => {
+        const option = document.createElement('label');
+        option.className = 'product-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = product;
+        checkbox.checked = currentFilters.products.includes(product);
+
+        const count = document.createElement('span');
+        count.className = 'product-count';
+
+        const category = productCatalog.get(product)?.category;
+
+        option.appendChild(checkbox);
+        option.insertAdjacentHTML('beforeend', createProductImageHtml(product, 'product-option-image'));
+        const text = document.createElement('span');
+        text.className = 'product-option-text';
+        text.textContent = product;
+        text.appendChild(count);
+        if (category) {
+          text.insertAdjacentHTML('beforeend', `<span class="product-category">${escapeHtml(getCategoryLabel(category))}</span>`);
+        }
+        option.appendChild(text);
+        list.appendChild(option);
+      });
+
+      listen(list, 'change', async () => {
+        // Keep the selection in catalog order so summaries and URLs are stable
+        currentFilters.products = Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+        await refreshResults();
+        track('filter-change', { filter: 'products', value: [...currentFilters.products] });
+      });
+
+      // "Any of" / "All of" toggle, placed above the list
+      let matchToggle = byId('product-match');
+      if (!matchToggle) {
+        matchToggle = document.createElement('div');
+        matchToggle.id = 'product-match';
+        list.before(matchToggle);
+      }
+      matchToggle.innerHTML = '';
+
+      [['any', 'filters.matchAny'], ['all', 'filters.matchAll']].forEach(([mode, labelKey]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'product-match-btn';
+        button.textContent = t(labelKey);
+        button.dataset.match = mode;
+        button.classList.toggle('active', currentFilters.productMatch === mode);
+
+        listen(button, 'click', async () => {
+          if (currentFilters.productMatch === mode) return;
+          currentFilters.productMatch = mode;
+          syncFilterControls();
+          await refreshResults();
+          track('filter-change', { filter: 'productMatch', value: mode });
+        });
+
+        matchToggle.appendChild(button);
+      });
+    }
+
+    /**
+     * Open focused on CONFIG.product, e.g. on a product's landing page: filter the
+     * stores to it and show the product's card above the search
+     */
+    function setupProductFocus() {
+      if (!CONFIG.product) return;
+
+      const wanted = String(CONFIG.product).trim().toLowerCase();
+      const name = Array.from(productCatalog.values())
+        .find(product => product.abbrev.toLowerCase() === wanted || product.name.toLowerCase() === wanted)?.name ||
+        stores.flatMap(store => store.products || []).find(product => product.toLowerCase() === wanted);
+      if (!name) {
+        console.warn(`Unknown product "${CONFIG.product}"`);
+        return;
+      }
+
+      focusedProduct = productCatalog.get(name) || { name, category: '', description: '', image: '' };
+      currentFilters.products = [name];
+
+      const sidebar = root.querySelector('.store-locator-sidebar');
+      if (!sidebar) return;
+
+      const card = document.createElement('div');
+      card.id = 'product-focus';
+      card.className = 'product-focus';
+      card.innerHTML = `
+        ${createProductImageHtml(name, 'product-focus-image')}
+        <div class="product-focus-text">
+          ${focusedProduct.category ? `<span class="product-category">${escapeHtml(getCategoryLabel(focusedProduct.category))}</span>` : ''}
+          <h2 class="product-focus-name">${escapeHtml(name)}</h2>
+          ${focusedProduct.description ? `<p class="product-focus-description">${escapeHtml(focusedProduct.description)}</p>` : ''}
+          <button type="button" class="product-focus-toggle"></button>
+        </div>
+      `;
+      sidebar.prepend(card);
+      cleanups.push(() => card.remove());
+
+      // Switch between this product and every product
+      listen(card.querySelector('.product-focus-toggle'), 'click', async () => {
+        currentFilters.products = isFocusedOnProduct() ? [] : [name];
+        syncFilterControls();
+        await refreshResults();
+        track('filter-change', { filter: 'products', value: [...currentFilters.products] });
+      });
+      syncProductFocus();
+    }
+
+    function isFocusedOnProduct() {
+      return Boolean(focusedProduct) && currentFilters.products.length === 1 && currentFilters.products[0] === focusedProduct.name;
+    }
+
+    /**
+     * Label the product card's button for the current product filter
+     */
+    function syncProductFocus() {
+      const toggle = byId('product-focus')?.querySelector('.product-focus-toggle');
+      if (!toggle) return;
+      toggle.textContent = isFocusedOnProduct()
+        ? t('products.showAll')
+        : t('products.showOnly', { product: focusedProduct.name });
+    }
+
+    /**
+     * Setup the "Open now" toggle next to the type and product filters. Hidden
+     * until stores.json has hours for at least one store.
+     */
+    function setupOpenNowFilter() {
+      const hasHoursData = stores.some(store => store.hours);
+
+      // Older embeds have no #open-now-container placeholder
+      let container = byId('open-now-container');
+      if (!container) {
+        const previous = byId('product-filter-container') || byId('type-filter-container');
+        if (!previous || !hasHoursData) return;
+        container = document.createElement('div');
+        container.className = 'filter-group';
+        container.id = 'open-now-container';
+        previous.after(container);
+        cleanups.push(() => container.remove());
+      }
+
+      if (!hasHoursData) {
+        container.style.display = 'none';
+        return;
+      }
+
+      container.innerHTML = '';
+
+      const option = document.createElement('label');
+      option.className = 'open-now-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = 'open-now-filter';
+      checkbox.checked = currentFilters.openNow;
+
+      const count = document.createElement('span');
+      count.id = 'open-now-count';
+      count.className = 'product-count';
+
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(t('filters.openNow')));
+      option.appendChild(count);
+      container.appendChild(option);
+
+      listen(checkbox, 'change', async () => {
+        currentFilters.openNow = checkbox.checked;
+        await refreshResults();
+        track('filter-change', { filter: 'openNow', value: currentFilters.openNow });
+      });
+    }
+
+    /**
+     * Setup the sort control above the store list. The markers array is kept in
+     * list order, so keyboard navigation through the map follows the same sort.
+     */
+    function setupSortControl() {
+      const storeList = byId('store-list');
+      if (!storeList) return;
+
+      // Older embeds have no #sort-controls placeholder
+      let container = byId('sort-controls');
+      if (!container) {
+        container = document.createElement('div');
+        container.id = 'sort-controls';
+        storeList.before(container);
+        cleanups.push(() => container.remove());
+      }
+      container.innerHTML = '';
+
+      const createSelect = (id, label, options, value) => {
+        const select = document.createElement('select');
+        select.id = id;
+        select.setAttribute('aria-label', label);
+        options.forEach(([optionValue, labelKey]) => {
+          const option = document.createElement('option');
+          option.value = optionValue;
+          option.textContent = t(labelKey);
+          select.appendChild(option);
+        });
+        select.value = value;
+        container.appendChild(select);
+        return select;
+      };
+
+      const label = document.createElement('span');
+      label.className = 'sort-label';
+      label.textContent = t('sort.label');
+      container.appendChild(label);
+
+      const sortSelect = createSelect('sort-by', t('sort.label'), SORT_OPTIONS, currentSort.by);
+      listen(sortSelect, 'change', () => setSort({ by: sortSelect.value }));
+
+      // Only offer type grouping when the data has more than one type
+      const hasTypes = new Set(stores.map(s => (s.type || '').toLowerCase()).filter(Boolean)).size > 1;
+      if (hasTypes) {
+        const typeSelect = createSelect('sort-type-first', t('sort.typeOrder'), TYPE_ORDER_OPTIONS, currentSort.typeFirst);
+        listen(typeSelect, 'change', () => setSort({ typeFirst: typeSelect.value }));
+      }
+    }
+
+    /**
+     * Setup mobile view toggle
+     */
+    function setupMobileToggle() {
+      const mapBtn = byId('mobile-map-btn');
+      const listBtn = byId('mobile-list-btn');
+
+      if (!mapBtn || !listBtn) return;
+
+      listen(mapBtn, 'click', () => setMobileView('map'));
+      listen(listBtn, 'click', () => setMobileView('list'));
+
+      updateMobileView();
+    }
+
+    /**
+     * Set mobile view (map or list)
+     */
+    function setMobileView(view) {
+      mobileView = view;
+      updateMobileView();
+    }
+
+    /**
+     * Update mobile view state
+     */
+    function updateMobileView() {
+      if (!isMobile) return;
+
+      const mapBtn = byId('mobile-map-btn');
+      const listBtn = byId('mobile-list-btn');
+      const sidebar = root.querySelector('.store-locator-sidebar');
+      const mapContainer = root.querySelector('.store-locator-map');
+
+      if (mobileView === 'map') {
+        mapBtn?.classList.add('active');
+        listBtn?.classList.remove('active');
+        sidebar?.classList.remove('mobile-active');
+        mapContainer?.classList.add('mobile-active');
+
+        // Trigger map resize and fit to stores
+        if (mapAdapter) {
+          mapAdapter.resize();
+          const storesToShow = getDisplayedStores();
+          fitMapToResults(storesToShow);
+        }
       } else {
-        const searchQuery = encodeURIComponent(`${storeName} ${city} ${state}`);
-        websiteDiv.innerHTML = `<a href="https://www.google.com/search?q=${searchQuery}" target="_blank" rel="noopener noreferrer">Search for Website</a>`;
+        listBtn?.classList.add('active');
+        mapBtn?.classList.remove('active');
+        sidebar?.classList.add('mobile-active');
+        mapContainer?.classList.remove('mobile-active');
       }
     }
 
-    // Set continue button
-    continueBtn.href = directionsUrl;
-    continueBtn.onclick = () => hideCallAheadModal();
+    /**
+     * Setup window resize handler
+     */
+    function setupWindowResize() {
+      let resizeTimeout;
+      listen(window, 'resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+          const wasMobile = isMobile;
+          isMobile = window.innerWidth <= 768;
+
+          if (wasMobile !== isMobile) {
+            updateMobileView();
+          }
+        }, 250);
+      });
+    }
+
+    /**
+     * Translate the copy that ships in the embed markup (filter labels, modal text).
+     * Older embeds may lack some of these elements; those are skipped.
+     */
+    function localizeStaticText() {
+      const setText = (element, key) => {
+        if (element) element.textContent = t(key);
+      };
+      const groupLabel = (id) => byId(id)?.closest('.filter-group')?.querySelector(':scope > label');
+
+      setText(byId('results-info'), 'results.loading');
+      setText(groupLabel('distance-filters'), 'filters.distance');
+      setText(groupLabel('type-filter'), 'filters.type');
+      setText(groupLabel('chain-filter'), 'filters.chain');
+      setText(groupLabel('product-filter'), 'filters.products');
+
+      setText(root.querySelector('.call-ahead-message'), 'modal.message');
+      setText(byId('call-ahead-continue'), 'modal.continue');
+      byId('call-ahead-overlay')?.setAttribute('aria-label', t('modal.label'));
+      byId('call-ahead-close')?.setAttribute('aria-label', t('modal.close'));
+    }
 
-    // If map is fullscreen, move overlay into the fullscreen element so it renders on top
-    const fsElement = document.fullscreenElement || document.webkitFullscreenElement;
-    if (fsElement) {
-      fsElement.appendChild(overlay);
+    /**
+     * Show error message
+     */
+    function showError(message) {
+      const container = root;
+      if (container) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = message;
+        container.insertBefore(errorDiv, container.firstChild);
+      }
     }
 
-    // Show modal and lock scroll
-    overlay.style.display = 'flex';
-    document.body.style.overflow = 'hidden';
-  }
+    /**
+     * Show call-ahead modal before opening directions
+     */
+    function showCallAheadModal(store) {
+      const overlay = callAheadOverlay;
+      if (!overlay) return;
+
+      const { phone, name: storeName, city, state } = store;
+      const website = getStoreWebsite(store);
+      callAheadStore = store;
+
+      const phoneDiv = overlay.querySelector('#call-ahead-phone');
+      const websiteDiv = overlay.querySelector('#call-ahead-website');
+      const continueBtn = overlay.querySelector('#call-ahead-continue');
+
+      // Show store name
+      const messageEl = overlay.querySelector('.call-ahead-message');
+      const nameEl = overlay.querySelector('#call-ahead-store-name');
+      if (nameEl) {
+        nameEl.textContent = storeName;
+      }
+
+      // Populate phone or Google search link
+      if (phone) {
+        phoneDiv.innerHTML = `<a href="tel:${escapeHtml(phone)}">${escapeHtml(t('modal.call', { phone }))}</a>`;
+      } else {
+        const searchQuery = encodeURIComponent(`${storeName} ${city} ${state} phone`);
+        phoneDiv.innerHTML = `<a href="https://www.google.com/search?q=${searchQuery}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('modal.searchPhone'))}</a>`;
+      }
+
+      // Populate website or Google search link
+      if (websiteDiv) {
+        if (website) {
+          websiteDiv.innerHTML = `<a href="${escapeHtml(website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('modal.website'))}</a>`;
+        } else {
+          const searchQuery = encodeURIComponent(`${storeName} ${city} ${state}`);
+          websiteDiv.innerHTML = `<a href="https://www.google.com/search?q=${searchQuery}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('modal.searchWebsite'))}</a>`;
+        }
+      }
+
+      // Continue in the preferred maps app, with the others offered underneath
+      const provider = getDirectionsProvider();
+      continueBtn.href = getDirectionsUrl(store, provider);
+      continueBtn.dataset.provider = provider;
+      continueBtn.textContent = t('modal.continueIn', { app: DIRECTIONS_PROVIDERS[provider].label });
+
+      let appsDiv = overlay.querySelector('#call-ahead-apps');
+      if (!appsDiv) {
+        // Older embeds don't have the alternatives placeholder
+        appsDiv = document.createElement('div');
+        appsDiv.className = 'call-ahead-apps';
+        appsDiv.id = 'call-ahead-apps';
+        continueBtn.after(appsDiv);
+        cleanups.push(() => appsDiv.remove());
+      }
+      const otherLinks = Object.keys(DIRECTIONS_PROVIDERS)
+        .filter(key => key !== provider)
+        .map(key => `<a href="${escapeHtml(getDirectionsUrl(store, key))}" target="_blank" rel="noopener noreferrer" data-provider="${key}">${escapeHtml(DIRECTIONS_PROVIDERS[key].label)}</a>`);
+      appsDiv.innerHTML = `${escapeHtml(t('modal.otherApps'))} ${otherLinks.join(' · ')}`;
+
+      // If map is fullscreen, move overlay into the fullscreen element so it renders on top
+      const fsElement = document.fullscreenElement || document.webkitFullscreenElement;
+      if (fsElement) {
+        fsElement.appendChild(overlay);
+      }
 
-  function hideCallAheadModal() {
-    const overlay = document.getElementById('call-ahead-overlay');
-    if (overlay) {
-      overlay.style.display = 'none';
-      // Move overlay back to its original container if it was moved for fullscreen
-      const container = document.querySelector('.store-locator-container');
-      if (container && overlay.parentElement !== container) {
-        container.appendChild(overlay);
+      // Show modal and lock scroll
+      if (overlay.style.display === 'none') {
+        callAheadReturnFocus = document.activeElement;
       }
+      overlay.style.display = 'flex';
+      document.body.style.overflow = 'hidden';
+      track('call-ahead-open', { store: describeStore(store) });
+
+      // Move focus into the dialog
+      getModalFocusables(overlay)[0]?.focus();
+    }
+
+    function hideCallAheadModal() {
+      const overlay = callAheadOverlay;
+      if (overlay) {
+        overlay.style.display = 'none';
+        // Move overlay back to its original container if it was moved for fullscreen
+        if (callAheadHome && overlay.parentElement !== callAheadHome) {
+          callAheadHome.appendChild(overlay);
+        }
+      }
+      document.body.style.overflow = '';
+      callAheadStore = null;
+
+      // Return focus to whatever opened the modal
+      if (callAheadReturnFocus?.isConnected) {
+        callAheadReturnFocus.focus();
+      }
+      callAheadReturnFocus = null;
+    }
+
+    /**
+     * Focusable elements inside the modal, in tab order
+     */
+    function getModalFocusables(overlay) {
+      return Array.from(overlay.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'));
+    }
+
+    // Setup modal close handlers
+    function setupCallAheadModal() {
+      const overlay = byId('call-ahead-overlay');
+      const closeBtn = byId('call-ahead-close');
+
+      // Keep a reference: the overlay leaves the container while the map is fullscreen
+      callAheadOverlay = overlay;
+      callAheadHome = overlay?.parentElement || null;
+
+      if (closeBtn) {
+        listen(closeBtn, 'click', hideCallAheadModal);
+      }
+      if (overlay) {
+        listen(overlay, 'click', (e) => {
+          if (e.target === overlay) {
+            hideCallAheadModal();
+            return;
+          }
+
+          // Directions in any maps app; the app picked becomes the default next time
+          const directionsLink = e.target.closest('[data-provider]');
+          if (directionsLink && callAheadStore) {
+            const provider = directionsLink.dataset.provider;
+            saveDirectionsProvider(provider);
+            track('directions', { store: describeStore(callAheadStore), provider });
+            hideCallAheadModal();
+            return;
+          }
+
+          // Phone and website links; the search fallbacks are reported with lookup: true
+          const link = e.target.closest('#call-ahead-phone a, #call-ahead-website a');
+          if (!link || !callAheadStore) return;
+          track(link.closest('#call-ahead-phone') ? 'phone-click' : 'website-click', {
+            store: describeStore(callAheadStore),
+            context: 'call-ahead',
+            lookup: link.hostname === 'www.google.com'
+          });
+        });
+      }
+      listen(document, 'keydown', (e) => {
+        if (!overlay || overlay.style.display === 'none') return;
+
+        if (e.key === 'Escape') {
+          hideCallAheadModal();
+          return;
+        }
+
+        // Keep Tab and Shift+Tab cycling inside the modal
+        if (e.key === 'Tab') {
+          const focusables = getModalFocusables(overlay);
+          if (focusables.length === 0) return;
+          const first = focusables[0];
+          const last = focusables[focusables.length - 1];
+
+          if (!overlay.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+          } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+          } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+          }
+        }
+      });
+    }
+
+    /**
+     * Re-run the active search (state or location) with the current filters
+     */
+    async function refreshResults() {
+      if (currentStateFilter) {
+        await filterByState(currentStateFilter);
+      } else if (currentArea) {
+        await filterByArea();
+      } else {
+        await filterAndDisplayStores();
+      }
+      syncProductFocus();
+      updateUrlState('replace');
     }
-    document.body.style.overflow = '';
-  }
 
-  // Setup modal close handlers
-  function setupCallAheadModal() {
-    const overlay = document.getElementById('call-ahead-overlay');
-    const closeBtn = document.getElementById('call-ahead-close');
+    /**
+     * Find a store in a list by store_id (result lists hold copies of the store objects)
+     */
+    function findStoreIndex(list, store) {
+      return list.findIndex(s => s.store_id === store.store_id);
+    }
 
-    if (closeBtn) {
-      closeBtn.addEventListener('click', hideCallAheadModal);
+    /**
+     * Mark the button for currentRadius as active, or the automatically widened radius.
+     * None is active while the closest stores are shown instead of a radius.
+     */
+    function syncRadiusButtons() {
+      const activeRadius = showingNearest || currentArea ? null : autoRadius || currentRadius;
+      byId('distance-filters')?.querySelectorAll('.distance-filter-btn').forEach(btn => {
+        const radius = Number(btn.dataset.radius);
+        btn.classList.toggle('active', radius === activeRadius);
+        btn.classList.toggle('auto-expanded', radius === autoRadius);
+        btn.setAttribute('aria-checked', String(radius === activeRadius));
+        btn.setAttribute('tabindex', radius === (activeRadius || currentRadius) ? '0' : '-1');
+      });
     }
-    if (overlay) {
-      overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) hideCallAheadModal();
+
+    /**
+     * Show currentFilters in the type and chain dropdowns, product checkboxes and "Open now" toggle
+     */
+    function syncFilterControls() {
+      const typeSelect = byId('type-filter');
+      if (typeSelect) typeSelect.value = currentFilters.type;
+      const chainSelect = byId('chain-filter');
+      if (chainSelect) chainSelect.value = currentFilters.chain;
+      byId('product-filter')?.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = currentFilters.products.includes(checkbox.value);
       });
+      byId('product-match')?.querySelectorAll('.product-match-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.match === currentFilters.productMatch);
+      });
+      const openNow = byId('open-now-filter');
+      if (openNow) openNow.checked = currentFilters.openNow;
+      syncProductFocus();
+    }
+
+    // URL state
+
+    /**
+     * Write the current search, radius, filters and selected store to the query string.
+     * 'push' adds a history entry (new searches); 'replace' updates the current one.
+     */
+    function updateUrlState(mode) {
+      if (!CONFIG.syncUrl || restoringUrlState || destroyed) return;
+
+      const params = new URLSearchParams(window.location.search);
+      URL_PARAMS.forEach(key => params.delete(key));
+
+      if (currentStateFilter) {
+        params.set('state', currentStateFilter);
+      } else if (currentArea) {
+        const { south, west, north, east } = currentArea;
+        params.set('area', [south, west, north, east].map(n => n.toFixed(5)).join(','));
+      } else if (currentLocation) {
+        params.set('lat', currentLocation.lat.toFixed(5));
+        params.set('lng', currentLocation.lng.toFixed(5));
+      }
+      if (currentPlaceName) params.set('q', currentPlaceName);
+      if (currentRadius !== CONFIG.defaultRadius) params.set('radius', currentRadius);
+      if (currentFilters.type !== 'all') params.set('type', currentFilters.type);
+      if (currentFilters.chain !== 'all') params.set('chain', currentFilters.chain);
+      currentFilters.products.forEach(product => params.append('product', product));
+      if (currentFilters.products.length > 1 && currentFilters.productMatch === 'all') params.set('match', 'all');
+      if (currentFilters.openNow) params.set('open', '1');
+      if (selectedStore) params.set('store', selectedStore.store_id);
+      if (detailStore) params.set('view', 'detail');
+
+      const query = params.toString();
+      const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+      if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+      if (mode === 'push') {
+        history.pushState(history.state, '', url);
+      } else {
+        history.replaceState(history.state, '', url);
+      }
+    }
+
+    /**
+     * Whether the page URL carries any locator parameters
+     */
+    function hasUrlState() {
+      const params = new URLSearchParams(window.location.search);
+      return URL_PARAMS.some(key => params.has(key));
+    }
+
+    /**
+     * Parse locator parameters from the page URL, ignoring values we can't use
+     */
+    function readUrlState() {
+      const params = new URLSearchParams(window.location.search);
+      const lat = parseFloat(params.get('lat'));
+      const lng = parseFloat(params.get('lng'));
+      const radius = Number(params.get('radius'));
+      const type = (params.get('type') || '').toLowerCase();
+      const chain = params.get('chain');
+      const products = params.getAll('product');
+      const storeId = params.get('store');
+      const area = (params.get('area') || '').split(',').map(parseFloat);
+
+      return {
+        state: (params.get('state') || '').toUpperCase() || null,
+        // south,west,north,east
+        area: area.length === 4 && area.every(Number.isFinite) && area[0] < area[2]
+          ? { south: area[0], west: area[1], north: area[2], east: area[3] }
+          : null,
+        location: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+        placeName: params.get('q') || '',
+        radius: CONFIG.radiusOptions.includes(radius) ? radius : CONFIG.defaultRadius,
+        type: stores.some(s => (s.type || '').toLowerCase() === type) ? type : 'all',
+        chain: chain && stores.some(s => s.chain === chain) ? chain : 'all',
+        // A locator focused on one product starts from it unless the link names products
+        products: params.has('product')
+          ? products.filter((product, i) =>
+            products.indexOf(product) === i && stores.some(s => s.products?.includes(product))
+          )
+          : focusedProduct ? [focusedProduct.name] : [],
+        productMatch: params.get('match') === 'all' ? 'all' : 'any',
+        openNow: params.get('open') === '1',
+        store: (storeId && storesById.get(storeId)) || null,
+        detail: params.get('view') === 'detail'
+      };
+    }
+
+    /**
+     * Restore a view from parsed URL state (shared links, back/forward)
+     */
+    async function applyUrlState(urlState) {
+      if (destroyed) return;
+      restoringUrlState = true;
+      try {
+        currentRadius = urlState.radius;
+        currentFilters.type = urlState.type;
+        currentFilters.chain = urlState.chain;
+        currentFilters.products = urlState.products;
+        currentFilters.productMatch = urlState.productMatch;
+        currentFilters.openNow = urlState.openNow;
+        syncRadiusButtons();
+        syncFilterControls();
+        mapAdapter?.closeInfoWindow();
+
+        if (urlState.state) {
+          await searchState(urlState.state, urlState.placeName);
+        } else if (urlState.area) {
+          const { south, west, north, east } = urlState.area;
+          const center = { lat: (south + north) / 2, lng: (west + east) / 2 };
+          await searchArea(urlState.area, center);
+          mapAdapter.fitBounds([{ lat: south, lng: west }, { lat: north, lng: east }], 18);
+        } else if (urlState.location) {
+          await searchNear(urlState.location, urlState.placeName);
+        } else {
+          currentLocation = null;
+          currentStateFilter = null;
+          currentArea = null;
+          selectedStore = null;
+          setLocationLabel('', 'near');
+          await showAllStores();
+        }
+
+        if (urlState.store) {
+          const storesToShow = getDisplayedStores();
+          const index = findStoreIndex(storesToShow, urlState.store);
+          const store = index !== -1 ? storesToShow[index] : urlState.store;
+          focusStore(store, markersById.get(urlState.store.store_id) || null);
+          if (urlState.detail) {
+            openStoreDetail(store, 'replace');
+          } else {
+            closeStoreDetail();
+          }
+        } else {
+          closeStoreDetail();
+        }
+      } finally {
+        restoringUrlState = false;
+      }
+    }
+
+    // Public API
+
+    /**
+     * Search for a zip, city, address or state
+     */
+    async function search(query) {
+      await ready;
+      if (destroyed || !mapAdapter || !query) return;
+      await geocodeSearch(query);
+    }
+
+    /**
+     * Change the search radius (must be one of CONFIG.radiusOptions)
+     */
+    async function setRadius(radius) {
+      await ready;
+      radius = Number(radius);
+      if (destroyed || !mapAdapter || !CONFIG.radiusOptions.includes(radius)) return;
+
+      const changed = radius !== currentRadius;
+      currentRadius = radius;
+
+      // Picking a radius after "Search this area" searches around the area's center
+      if (currentArea) {
+        currentArea = null;
+        setLocationLabel('', 'near');
+      }
+      syncRadiusButtons();
+
+      // Re-filter and display
+      await refreshResults();
+      if (changed) {
+        track('radius-change', { radius });
+      }
+    }
+
+    /**
+     * Change the filters; omitted keys are left as-is.
+     * { type, chain, products: [...], productMatch: 'any' | 'all', openNow } — a single `product` name is also accepted.
+     */
+    async function setFilters(filters = {}) {
+      await ready;
+      if (destroyed || !mapAdapter) return;
+
+      const previous = { ...currentFilters };
+      if (filters.type !== undefined) {
+        currentFilters.type = String(filters.type).toLowerCase();
+      }
+      if (filters.chain !== undefined) {
+        currentFilters.chain = filters.chain ? String(filters.chain) : 'all';
+      }
+      if (filters.product !== undefined) {
+        filters = { ...filters, products: filters.product === 'all' ? [] : [filters.product] };
+      }
+      if (filters.products !== undefined) {
+        currentFilters.products = [...new Set(filters.products)];
+      }
+      if (filters.productMatch === 'any' || filters.productMatch === 'all') {
+        currentFilters.productMatch = filters.productMatch;
+      }
+      if (filters.openNow !== undefined) {
+        currentFilters.openNow = Boolean(filters.openNow);
+      }
+      syncFilterControls();
+
+      await refreshResults();
+      if (currentFilters.type !== previous.type) {
+        track('filter-change', { filter: 'type', value: currentFilters.type });
+      }
+      if (currentFilters.chain !== previous.chain) {
+        track('filter-change', { filter: 'chain', value: currentFilters.chain });
+      }
+      if (currentFilters.products.join('|') !== previous.products.join('|')) {
+        track('filter-change', { filter: 'products', value: [...currentFilters.products] });
+      }
+      if (currentFilters.productMatch !== previous.productMatch) {
+        track('filter-change', { filter: 'productMatch', value: currentFilters.productMatch });
+      }
+      if (currentFilters.openNow !== previous.openNow) {
+        track('filter-change', { filter: 'openNow', value: currentFilters.openNow });
+      }
+    }
+
+    /**
+     * Change the store list order; the choice is kept across searches.
+     * { by: 'distance' | 'name' | 'city' | 'products', typeFirst: '' | 'off-premise' | 'on-premise' }
+     */
+    async function setSort(sort = {}) {
+      await ready;
+      if (destroyed || !mapAdapter) return;
+
+      if (SORT_OPTIONS.some(([value]) => value === sort.by)) {
+        currentSort.by = sort.by;
+      }
+      if (TYPE_ORDER_OPTIONS.some(([value]) => value === sort.typeFirst)) {
+        currentSort.typeFirst = sort.typeFirst;
+      }
+
+      const sortSelect = byId('sort-by');
+      if (sortSelect) sortSelect.value = currentSort.by;
+      const typeSelect = byId('sort-type-first');
+      if (typeSelect) typeSelect.value = currentSort.typeFirst;
+
+      await refreshResults();
+    }
+
+    /**
+     * Select a store by its store_id
+     */
+    async function selectStore(id) {
+      await ready;
+      const store = storesById.get(String(id));
+      if (destroyed || !store || !mapAdapter) return;
+
+      const storesToShow = getDisplayedStores();
+      const index = findStoreIndex(storesToShow, store);
+
+      focusStore(index !== -1 ? storesToShow[index] : store, markersById.get(store.store_id) || null);
+      if (!isMobile) {
+        scrollToStore(store);
+      }
+    }
+
+    /**
+     * Tear down the map, markers and listeners and empty the generated UI
+     */
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+
+      hideCallAheadModal();
+      cleanups.forEach(cleanup => cleanup());
+      cleanups.length = 0;
+
+      mapAdapter?.destroy();
+      markers = [];
+      autocompleteElement?.remove();
+      fallbackSearchElement?.remove();
+
+      const mapElement = byId('map');
+      if (mapElement) mapElement.innerHTML = '';
+      root.querySelector('.store-locator-sidebar')?.classList.remove('showing-detail');
+      root.querySelectorAll('.error-message').forEach(el => el.remove());
+      if (options.brandColor) {
+        root.style.removeProperty('--filmland-gold');
+      }
+
+      mapAdapter = null;
+      instances.delete(root);
+    }
+
+    if (options.brandColor) {
+      root.style.setProperty('--filmland-gold', options.brandColor);
+    }
+
+    const ready = init();
+
+    return {
+      ready,
+      search,
+      setRadius,
+      setFilters,
+      setSort,
+      selectStore,
+      destroy
+    };
+  }
+
+  // Live instances, keyed by container element
+  const instances = new Map();
+
+  window.FilmlandLocator = {
+    /**
+     * Create a locator in a container element (or selector).
+     * Creating a second locator on the same element replaces the first.
+     */
+    create(element, options = {}) {
+      const root = typeof element === 'string' ? document.querySelector(element) : element;
+      if (!root) throw new Error(`FilmlandLocator: container not found (${element})`);
+
+      instances.get(root)?.destroy();
+      const instance = createLocator(root, options);
+      instances.set(root, instance);
+      return instance;
+    },
+
+    /**
+     * Get the locator running in a container element, if any
+     */
+    get(element) {
+      return instances.get(element) || null;
     }
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') hideCallAheadModal();
+  };
+
+  // Initialize default containers when DOM is ready
+  function autoInit() {
+    document.querySelectorAll('.store-locator-container').forEach(el => {
+      if (el.dataset.autoInit === 'false' || instances.has(el)) return;
+      window.FilmlandLocator.create(el);
     });
   }
 
-  // Initialize when DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', autoInit);
   } else {
-    init();
+    autoInit();
   }
 
 })();
+
@@ -0,0 +1,109 @@
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { JSDOM } from 'jsdom';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Just enough of Leaflet for the locator's Leaflet adapter: the map and its
+ * layers accept every call and draw nothing
+ */
+function createLeafletStub() {
+  const layer = () => ({
+    addTo() { return this; },
+    on() { return this; },
+    addLayer() {},
+    removeLayer() {},
+    clearLayers() {}
+  });
+
+  return {
+    map: () => ({
+      ...layer(),
+      fitBounds() {},
+      setView() {},
+      closePopup() {},
+      invalidateSize() {},
+      getBounds() { return null; },
+      getCenter() { return null; },
+      remove() {}
+    }),
+    tileLayer: layer,
+    layerGroup: layer,
+    marker: layer,
+    divIcon: (options) => options,
+    popup: () => ({
+      setLatLng() { return this; },
+      setContent() { return this; },
+      openOn() { return this; }
+    })
+  };
+}
+
+/**
+ * Run src/app.js on src/index.html in jsdom with a stand-in Leaflet, and start a
+ * locator in its container. data/ files are read from the repo; `files` replaces
+ * some of them by name ({ 'stores.json': [...] }). `now` fixes the page's clock.
+ * Returns { window, locator, requests }, where requests lists every fetched path.
+ */
+export async function startLocator({ files = {}, now } = {}) {
+  // runScripts: 'outside-only' leaves the page's own <script> tags unloaded, but
+  // app.js still finds its tag to resolve data/ URLs
+  const html = readFileSync(join(ROOT, 'src/index.html'), 'utf-8');
+  const { window } = new JSDOM(html, {
+    url: 'http://localhost/src/index.html',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+
+  const requests = [];
+  window.fetch = async (url) => {
+    const path = new URL(String(url), window.location.href).pathname;
+    requests.push(path);
+    const name = path.replace(/^\/data\//, '');
+    const file = join(ROOT, path);
+    if (!(name in files) && !existsSync(file)) {
+      return { ok: false, status: 404, json: async () => { throw new Error(`${path} not found`); } };
+    }
+    const body = name in files ? JSON.stringify(files[name]) : readFileSync(file, 'utf-8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+  };
+
+  // Scripts and stylesheets never load in jsdom; report them loaded
+  new window.MutationObserver(mutations => {
+    mutations.forEach(({ addedNodes }) => addedNodes.forEach(node => node.onload?.()));
+  }).observe(window.document.head, { childList: true });
+  window.L = createLeafletStub();
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+
+  if (now) {
+    const RealDate = window.Date;
+    const fixed = new RealDate(now).getTime();
+    window.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length > 0 ? args : [fixed]));
+      }
+
+      static now() {
+        return fixed;
+      }
+    };
+  }
+
+  const root = window.document.querySelector('.store-locator-container');
+  root.dataset.autoInit = 'false';
+  window.eval(readFileSync(join(ROOT, 'src/app.js'), 'utf-8'));
+
+  const locator = window.FilmlandLocator.create(root, { mapProvider: 'leaflet' });
+  await locator.ready;
+  return { window, locator, requests };
+}
+
+/**
+ * The text of every store card's name, in list order
+ */
+export function storeNames(window) {
+  return [...window.document.querySelectorAll('.store-card .store-name')].map(el => el.textContent.trim());
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLocator, storeNames } from './helpers/locator.js';
+
+const STORES = [
+  { store_id: 'S1', name: 'Downtown Wine', address: '1 Main St', city: 'Louisville', state: 'KY', zip: '40202', type: 'Off-Premise', lat: 38.2527, lng: -85.7585, products: [] },
+  { store_id: 'S2', name: 'Bluegrass Bottles', address: '2 Main St', city: 'Lexington', state: 'KY', zip: '40507', type: 'Off-Premise', lat: 38.0406, lng: -84.5037, products: [] },
+  { store_id: 'S3', name: 'Plaza Spirits', address: '3 Main St', city: 'Kansas City', state: 'KS', zip: '66101', type: 'Off-Premise', lat: 39.1155, lng: -94.6268, products: [] }
+];
+
+const label = (window) => window.document.getElementById('current-location-label').textContent;
+
+test('a zip code is found in its data/zips shard', async () => {
+  const { window, locator, requests } = await startLocator({ files: { 'stores.json': STORES } });
+
+  await locator.search('40202');
+  assert.match(label(window), /Louisville, KY 40202/);
+  assert.deepEqual(storeNames(window), ['Downtown Wine']);
+  assert.ok(requests.includes('/data/zips/4.json'), `requested ${requests.join(', ')}`);
+
+  // ZIP+4 uses the same five digits
+  await locator.search('40202-1234');
+  assert.deepEqual(storeNames(window), ['Downtown Wine']);
+});
+
+test('a state name or code lists the stores in that state', async () => {
+  const { window, locator } = await startLocator({ files: { 'stores.json': STORES } });
+
+  for (const query of ['KY', 'kentucky']) {
+    await locator.search(query);
+    assert.match(label(window), /Kentucky/);
+    assert.deepEqual(storeNames(window).sort(), ['Bluegrass Bottles', 'Downtown Wine']);
+  }
+});
+
+test('a city is found with or without its state', async () => {
+  const { window, locator } = await startLocator({ files: { 'stores.json': STORES } });
+
+  for (const query of ['Louisville, KY', 'louisville ky', 'Louisville']) {
+    await locator.search(query);
+    assert.match(label(window), /Louisville, KY/, query);
+    assert.equal(storeNames(window)[0], 'Downtown Wine', query);
+  }
+
+  // The state picks between cities with the same name
+  await locator.search('Kansas City KS');
+  assert.match(label(window), /Kansas City, KS/);
+  assert.equal(storeNames(window)[0], 'Plaza Spirits');
+});
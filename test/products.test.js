@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchProduct, ACTIVE_PRODUCTS } from '../scripts/products.js';
+
+const abbrev = (rawName) => matchProduct(rawName)?.abbrev ?? null;
+
+test('matchProduct picks the longest name a raw item starts with', () => {
+  assert.equal(abbrev('Moonlight Mayhem!'), 'MM');
+  assert.equal(abbrev('Moonlight Mayhem! Extended Cut'), 'MMEC');
+  assert.equal(abbrev('Moonlight Mayhem! 2 the White Port Wolf'), 'MMWP');
+  assert.equal(abbrev('Ryes of the Robots'), 'RR');
+  assert.equal(abbrev('Ryes of the Robot Extended Cut'), 'RREC');
+});
+
+test('matchProduct ignores case, "!", extra spaces and trailing suffixes', () => {
+  assert.equal(abbrev('MOONLIGHT MAYHEM  EXTENDED CUT 750ML'), 'MMEC');
+  assert.equal(abbrev('Quadraforce Blended Bourbon Single Barrel'), 'QUAD');
+  assert.equal(abbrev('  moonlight mayhem! '), 'MM');
+});
+
+test('matchProduct knows aliases and discontinued products', () => {
+  assert.equal(abbrev('Crimson Cask'), 'CC');
+  assert.equal(abbrev('Moonlight Mayhem 2 White Port Wolf'), 'MMWP');
+
+  const discontinued = matchProduct('Town at the End of Tomorrow');
+  assert.equal(discontinued.abbrev, 'TEOT');
+  assert.equal(discontinued.active, false);
+  assert.ok(!ACTIVE_PRODUCTS.includes(discontinued));
+});
+
+test('matchProduct returns null for anything else', () => {
+  assert.equal(matchProduct('Generic Vodka'), null);
+  assert.equal(matchProduct(''), null);
+  assert.equal(matchProduct(undefined), null);
+});
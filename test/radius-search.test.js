@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { startLocator } from './helpers/locator.js';
+
+const STORES = JSON.parse(readFileSync(new URL('../data/stores.json', import.meta.url), 'utf-8'));
+const { cities: CITIES } = JSON.parse(readFileSync(new URL('../data/gazetteer.json', import.meta.url), 'utf-8'));
+
+// Haversine in miles, checked against every store
+function distance(a, b) {
+  const toRad = (degrees) => degrees * Math.PI / 180;
+  const h = Math.sin(toRad(b.lat - a.lat) / 2) ** 2 +
+    Math.sin(toRad(b.lng - a.lng) / 2) ** 2 * Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat));
+  return 3959 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+const countWithin = (point, radius) =>
+  STORES.filter(store => Number.isFinite(store.lat) && Number.isFinite(store.lng) && distance(point, store) <= radius).length;
+
+test('radius searches find the same stores as checking every store', async () => {
+  const { window, locator } = await startLocator();
+  const resultsInfo = window.document.getElementById('results-info');
+
+  // Anchorage checks the wider longitude span far north
+  for (const [city, state] of [['Louisville', 'KY'], ['Anchorage', 'AK'], ['Miami', 'FL']]) {
+    const [, , lat, lng] = CITIES.find(([name, code]) => name === city && code === state);
+    await locator.search(`${city}, ${state}`);
+
+    for (const radius of [5, 10, 25, 50, 100]) {
+      await locator.setRadius(radius);
+      // A radius with no stores widens to the next one that has some
+      const match = resultsInfo.textContent.match(/(\d+) stores? within (\d+) mi/);
+      if (!match) continue;
+      const [, shown, shownRadius] = match.map(Number);
+      assert.equal(shown, countWithin({ lat, lng }, shownRadius), `${city}, ${state} within ${shownRadius} mi`);
+    }
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHours, parseStoreHours } from '../scripts/fetch-sheet.js';
+import { startLocator } from './helpers/locator.js';
+
+const closedWeek = { mon: [], tue: [], wed: [], thu: [], fri: [], sat: [], sun: [] };
+
+test('parseHours reads day ranges, split shifts and closed days', () => {
+  assert.deepEqual(parseHours('Mon-Fri 10am-9pm; Sat 10am-10pm; Sun closed'), {
+    mon: [['10:00', '21:00']], tue: [['10:00', '21:00']], wed: [['10:00', '21:00']],
+    thu: [['10:00', '21:00']], fri: [['10:00', '21:00']], sat: [['10:00', '22:00']], sun: []
+  });
+
+  const lunchAndDinner = [['11:00', '14:00'], ['17:00', '22:00']];
+  assert.deepEqual(parseHours('Daily 11am-2pm, 5pm-10pm'), {
+    mon: lunchAndDinner, tue: lunchAndDinner, wed: lunchAndDinner, thu: lunchAndDinner,
+    fri: lunchAndDinner, sat: lunchAndDinner, sun: lunchAndDinner
+  });
+});
+
+test('parseHours keeps closing times after midnight and open-all-day', () => {
+  assert.deepEqual(parseHours('Fri-Sat 5pm-2am'), { ...closedWeek, fri: [['17:00', '02:00']], sat: [['17:00', '02:00']] });
+
+  const allDay = [['00:00', '24:00']];
+  assert.deepEqual(parseHours('Daily 24 hours'), {
+    mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay, sun: allDay
+  });
+});
+
+test('parseHours reads hours copied from Google', () => {
+  assert.deepEqual(
+    parseHours('Monday: 10:00 AM – 9:00 PM\nTuesday: Closed'),
+    { ...closedWeek, mon: [['10:00', '21:00']] }
+  );
+  assert.throws(() => parseHours('whenever'), /no times/);
+});
+
+test('parseStoreHours uses the state time zone unless the row names one', (t) => {
+  assert.equal(parseStoreHours({ hours: 'Daily 9am-5pm', state: 'KY' }).timezone, 'America/New_York');
+  assert.equal(parseStoreHours({ hours: 'Daily 9am-5pm', state: 'TN', timezone: 'America/New_York' }).timezone, 'America/New_York');
+  assert.equal(parseStoreHours({ hours: '', state: 'KY' }), null);
+
+  // Unreadable hours are dropped with a warning, not a failed sync
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(parseStoreHours({ store_name: 'Typo Liquor', hours: 'sometimes', state: 'KY' }), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('the locator shows open and closed badges from parsed hours', async () => {
+  const store = (store_id, name, hours) => ({
+    store_id, name, address: '1 Main St', city: 'Louisville', state: 'KY', zip: '40202', type: 'Off-Premise',
+    lat: 38.25, lng: -85.76, products: [], hours: parseStoreHours({ hours, state: 'KY' })
+  });
+  const stores = [
+    store('S1', 'Late Bar', 'Fri-Sat 5pm-2am'),
+    store('S2', 'All Night Liquor', 'Daily 24 hours'),
+    store('S3', 'Day Shop', 'Mon-Fri 10am-9pm; Sat 10am-10pm; Sun closed'),
+    store('S4', 'Weekday Wine', 'Mon-Fri 10am-6pm')
+  ];
+
+  // 1:30am on Saturday in Louisville: still Friday night at the bar
+  const { window, locator } = await startLocator({ files: { 'stores.json': stores }, now: '2026-10-17T05:30:00Z' });
+  await locator.search('Louisville, KY');
+
+  const badges = Object.fromEntries([...window.document.querySelectorAll('.store-card')].map(card => [
+    card.querySelector('.store-name').textContent,
+    card.querySelector('.store-open-badge')?.textContent
+  ]));
+  assert.deepEqual(badges, {
+    'Late Bar': 'Open now',
+    'All Night Liquor': 'Open now',
+    'Day Shop': 'Closed',
+    'Weekday Wine': 'Closed today'
+  });
+
+  await locator.setFilters({ openNow: true });
+  const open = [...window.document.querySelectorAll('.store-card .store-name')].map(el => el.textContent).sort();
+  assert.deepEqual(open, ['All Night Liquor', 'Late Bar']);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeStoreName } from '../scripts/store-names.js';
+
+const normalize = (rawName) => {
+  const { name, location_number } = normalizeStoreName(rawName);
+  return [name, location_number];
+};
+
+test('all-caps account names are title-cased with their apostrophes back', () => {
+  assert.deepEqual(normalize('TODDY S LIQUOR 1'), ["Toddy's Liquor", '1']);
+  assert.deepEqual(normalize('THE WINE & SPIRITS SHOP OF LOUISVILLE'), ['The Wine & Spirits Shop of Louisville', '']);
+  assert.deepEqual(normalize('BBQ SHACK LLC'), ['BBQ Shack LLC', '']);
+  assert.deepEqual(normalize('Bill s Distributing - Alaska'), ["Bill's Distributing - Alaska", '']);
+});
+
+test('a number is only split off as a store number when it looks like one', () => {
+  assert.deepEqual(normalize('LIQUOR BARN #960'), ['Liquor Barn', '960']);
+  assert.deepEqual(normalize('COX S EVERGREEN LIQUOR#41'), ["Cox's Evergreen Liquor", '41']);
+  assert.deepEqual(normalize('Wine Shop No. 3'), ['Wine Shop', '3']);
+  assert.deepEqual(normalize('Trevors 2'), ['Trevors', '2']);
+
+  assert.deepEqual(normalize('BAR 21'), ['Bar 21', '']);
+  assert.deepEqual(normalize('ROUTE 66 LIQUOR'), ['Route 66 Liquor', '']);
+  assert.deepEqual(normalize('HIGHWAY 9 PACKAGE'), ['Highway 9 Package', '']);
+  assert.deepEqual(normalize('Crown Liquor 2'), ['Crown Liquor 2', '']);
+  assert.deepEqual(normalize('Forno 301'), ['Forno 301', '']);
+  assert.deepEqual(normalize('KROGER #767 LIQUOR'), ['Kroger #767 Liquor', '']);
+});
+
+test('names typed by a person keep their casing', () => {
+  assert.deepEqual(normalize('deVine Wines'), ['deVine Wines', '']);
+});
+
+test('data/name-exceptions.json wins over the rules', () => {
+  assert.deepEqual(normalizeStoreName('JT S LIQUOR'), { name: "JT's Liquor", location_number: '', exception: true });
+  assert.deepEqual(normalize('liquor outlet the #3'), ['The Liquor Outlet', '3']);
+});
+
+test('normalizing a normalized name changes nothing', () => {
+  for (const raw of ['TODDY S LIQUOR 1', 'BAR 21', 'LIQUOR BARN #960', 'Trevor s 3', 'COX S SMOKERS OUTLET #10']) {
+    const { name } = normalizeStoreName(raw);
+    assert.deepEqual(normalize(name), [name, ''], raw);
+  }
+});
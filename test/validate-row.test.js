@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRow } from '../scripts/fetch-sheet.js';
+
+const ROW = {
+  store_name: 'Liquor Barn', address: '1 Main St', city: 'Louisville', state: 'ky', zip: '40202',
+  phone: '(502) 555-0100', website: 'liquorbarn.com', type: 'off-premise', lat: '38.25', lng: '-85.76'
+};
+
+test('a good row passes with its values cleaned up', () => {
+  assert.deepEqual(validateRow(ROW), {
+    errors: [],
+    warnings: [],
+    pendingGeocode: false,
+    values: { state: 'KY', zip: '40202', phone: '(502) 555-0100', website: 'https://liquorbarn.com', type: 'Off-Premise' }
+  });
+});
+
+test('rows the site can\'t place are rejected', () => {
+  assert.deepEqual(validateRow({ ...ROW, store_name: '', city: '' }).errors, ['missing store_name', 'missing city']);
+  assert.deepEqual(validateRow({ ...ROW, state: 'Kentucky' }).errors, ['invalid state "Kentucky"']);
+  assert.deepEqual(validateRow({ ...ROW, lat: 'north' }).errors, ['unreadable coordinates "north, -85.76"']);
+  assert.deepEqual(validateRow({ ...ROW, lat: '51.5', lng: '-0.12' }).errors, ['coordinates 51.5, -0.12 are outside the US']);
+});
+
+test('bad contact details are blanked with a warning', () => {
+  const { errors, warnings, values } = validateRow({ ...ROW, phone: '555-0100', website: 'n/a', type: 'Bar' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'invalid phone "555-0100"',
+    'invalid website "n/a"',
+    'unknown type "Bar" (expected On-Premise or Off-Premise)'
+  ]);
+  assert.deepEqual([values.phone, values.website, values.type], ['', '', '']);
+});
+
+test('zips get their leading zero back and are otherwise only reported', () => {
+  assert.equal(validateRow({ ...ROW, state: 'NJ', zip: '7030' }).values.zip, '07030');
+
+  const { warnings, values } = validateRow({ ...ROW, zip: '402' });
+  assert.deepEqual(warnings, ['invalid zip "402"']);
+  assert.equal(values.zip, '402');
+});
+
+test('rows without coordinates wait for geocoding', () => {
+  const { errors, pendingGeocode } = validateRow({ ...ROW, lat: '', lng: '' });
+  assert.deepEqual(errors, []);
+  assert.equal(pendingGeocode, true);
+});